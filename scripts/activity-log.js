@@ -0,0 +1,112 @@
+/**
+ * Fuori D20: Arena Market
+ * Activity Log - Filtering and export of the activity log
+ */
+
+import { ACTIVITY_TYPES } from './config.js';
+
+/**
+ * Columns written to CSV exports, in order
+ */
+const CSV_COLUMNS = [
+    'timestamp', 'type', 'shopName', 'actorName', 'playerName',
+    'itemName', 'quantity', 'price', 'currency', 'recipientName', 'bids', 'refunded'
+];
+
+/**
+ * Filters that show the whole log
+ */
+export const EMPTY_LOG_FILTERS = {
+    search: '',
+    actor: '',
+    player: '',
+    item: '',
+    type: '',
+    from: '',
+    to: ''
+};
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - Log filters
+ * @returns {boolean} True if the log is filtered
+ */
+export function hasLogFilters(filters) {
+    return Object.values(filters).some(value => !!value);
+}
+
+/**
+ * Filter activity log entries
+ * @param {Object[]} log - Activity log entries, newest first
+ * @param {Object} filters - { search, actor, player, item, type, from, to }; dates as YYYY-MM-DD
+ * @returns {Object[]} Matching entries
+ */
+export function filterActivityLog(log, filters) {
+    const search = filters.search?.trim().toLowerCase();
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+    return log.filter(entry => {
+        if (filters.actor && entry.actorName !== filters.actor) return false;
+        if (filters.player && entry.playerName !== filters.player) return false;
+        if (filters.item && entry.itemName !== filters.item) return false;
+        if (filters.type && entry.type !== filters.type) return false;
+
+        const time = Date.parse(entry.timestamp);
+        if (from !== null && time < from) return false;
+        if (to !== null && time > to) return false;
+
+        if (search) {
+            const label = ACTIVITY_TYPES[entry.type] ? game.i18n.localize(`ARENA_MARKET.${ACTIVITY_TYPES[entry.type].label}`) : '';
+            const text = [entry.actorName, entry.playerName, entry.itemName, entry.shopName, entry.recipientName, label].join(' ').toLowerCase();
+            if (!text.includes(search)) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Get the distinct values of a field, for filter dropdowns
+ * @param {Object[]} log - Activity log entries
+ * @param {string} field - Entry field
+ * @returns {string[]} Sorted values
+ */
+export function getLogFieldValues(log, field) {
+    return [...new Set(log.map(entry => entry[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write an auction's bid history as a single cell
+ * @param {Object[]} [bids] - Bids, oldest first
+ * @returns {string} e.g. "Aria 50; Borin 55"
+ */
+function formatBids(bids) {
+    return (bids || []).map(bid => `${bid.actorName} ${bid.amount}`).join('; ');
+}
+
+/**
+ * Download activity log entries as a CSV or JSON file
+ * @param {Object[]} entries - Entries to export
+ * @param {string} format - 'csv' or 'json'
+ */
+export function exportActivityLog(entries, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => toCsvCell(column === 'bids' ? formatBids(entry.bids) : entry[column])).join(','));
+        const csv = [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+        foundry.utils.saveDataToFile(csv, 'text/csv', `arena-market-log-${date}.csv`);
+    } else {
+        foundry.utils.saveDataToFile(JSON.stringify(entries, null, 2), 'application/json', `arena-market-log-${date}.json`);
+    }
+}
@@ -3,6 +3,11 @@
  * Configuration and Settings
  */
 
+import { HaggleConfig } from './haggle-config.js';
+import { TreasuryConfig } from './treasury-config.js';
+import { Ledger } from './ledger.js';
+import { Wishlist } from './wishlist.js';
+
 export const MODULE_ID = 'fuorid20-arena-market';
 export const MODULE_NAME = 'Arena Market';
 
@@ -12,9 +17,118 @@ export const MODULE_NAME = 'Arena Market';
 export const AVAILABILITY_TYPES = {
     UNLIMITED: 'unlimited',
     LIMITED: 'limited',
-    RESERVATION: 'reservation'
+    RESERVATION: 'reservation',
+    AUCTION: 'auction'
+};
+
+/**
+ * Events that restock limited and reservation items.
+ * An empty trigger on an item falls back to the shop's rule.
+ */
+export const RESTOCK_TRIGGERS = {
+    NONE: 'none',
+    DAY: 'day',
+    OPEN: 'open',
+    SESSION: 'session'
 };
 
+/**
+ * Default restock rule of a shop; an empty amount refills to the item's quantity
+ */
+export const DEFAULT_RESTOCK = {
+    trigger: RESTOCK_TRIGGERS.NONE,
+    amount: null
+};
+
+/**
+ * Default auction settings of an item; an auction without an end time is not open yet
+ */
+export const DEFAULT_AUCTION = {
+    startingBid: 1,
+    increment: 1,
+    endsAt: null,
+    antiSnipe: 0
+};
+
+/**
+ * What a discount applies to
+ */
+export const DISCOUNT_TARGETS = {
+    SHOP: 'shop',
+    CATEGORY: 'category',
+    TYPE: 'type',
+    ITEM: 'item'
+};
+
+/**
+ * Reservation queue states
+ */
+export const RESERVATION_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved'
+};
+
+/**
+ * Activity log entry types with their icon and label key
+ */
+export const ACTIVITY_TYPES = {
+    purchase: { icon: 'fas fa-coins', label: 'Activity.Purchase' },
+    sale: { icon: 'fas fa-hand-holding-usd', label: 'Activity.Sale' },
+    reservation: { icon: 'fas fa-bookmark', label: 'Activity.Reservation' },
+    'reservation-approved': { icon: 'fas fa-check', label: 'Activity.ReservationApproved' },
+    'reservation-rejected': { icon: 'fas fa-ban', label: 'Activity.ReservationRejected' },
+    'reservation-cancelled': { icon: 'fas fa-undo', label: 'Activity.ReservationCancelled' },
+    haggle: { icon: 'fas fa-comments-dollar', label: 'Activity.Haggle' },
+    refund: { icon: 'fas fa-undo-alt', label: 'Activity.Refund' },
+    restock: { icon: 'fas fa-truck-loading', label: 'Activity.Restock' },
+    'treasury-deposit': { icon: 'fas fa-piggy-bank', label: 'Activity.TreasuryDeposit' },
+    'treasury-withdrawal': { icon: 'fas fa-hand-holding-usd', label: 'Activity.TreasuryWithdrawal' },
+    auction: { icon: 'fas fa-gavel', label: 'Activity.Auction' }
+};
+
+/**
+ * dnd5e skills a character can haggle with
+ */
+export const HAGGLE_SKILLS = ['per', 'dec', 'itm'];
+
+/**
+ * Default haggle outcomes: the highest DC reached sets the price change in percent
+ */
+export const DEFAULT_HAGGLE_TABLE = [
+    { dc: 0, modifier: 20 },
+    { dc: 5, modifier: 10 },
+    { dc: 10, modifier: 0 },
+    { dc: 15, modifier: -10 },
+    { dc: 20, modifier: -20 },
+    { dc: 25, modifier: -30 }
+];
+
+/**
+ * Default supply-and-demand pricing of a shop.
+ * floor/ceiling: price limits in percent of the base price
+ * stockSensitivity: price increase in percent when limited stock runs out
+ * demandSensitivity: price increase in percent per unit recently bought
+ * halfLife: hours for the demand effect to halve
+ */
+export const DEFAULT_PRICING = {
+    enabled: false,
+    floor: 50,
+    ceiling: 200,
+    stockSensitivity: 50,
+    demandSensitivity: 5,
+    halfLife: 24
+};
+
+/**
+ * ID of the shop created from pre multi-shop configurations
+ */
+export const DEFAULT_SHOP_ID = 'default';
+
+/**
+ * Font Awesome icon used for new shops
+ */
+export const DEFAULT_SHOP_ICON = 'fas fa-store';
+
 /**
  * Register all module settings
  */
@@ -29,7 +143,7 @@ export function registerSettings() {
         default: 'Ori'
     });
 
-    // Shop open/closed state
+    // Shop open/closed state (legacy, migrated into 'shops')
     game.settings.register(MODULE_ID, 'shopOpen', {
         name: game.i18n.localize('ARENA_MARKET.Settings.ShopOpen.Name'),
         hint: game.i18n.localize('ARENA_MARKET.Settings.ShopOpen.Hint'),
@@ -39,7 +153,137 @@ export function registerSettings() {
         default: false
     });
 
-    // Shop configuration (selected compendiums, items, prices, quantities)
+    // Buy-back percentage applied when players sell items to the shop
+    game.settings.register(MODULE_ID, 'buybackPercentage', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.BuybackPercentage.Name'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.BuybackPercentage.Hint'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 100, step: 5 },
+        default: 50
+    });
+
+    // Automatically fulfil reservations in queue order when a reservation item gets stock
+    game.settings.register(MODULE_ID, 'autoAssignReservations', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.AutoAssignReservations.Name'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.AutoAssignReservations.Hint'),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    // Haggling with skill checks
+    game.settings.register(MODULE_ID, 'haggleEnabled', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.HaggleEnabled.Name'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.HaggleEnabled.Hint'),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, 'haggleSkill', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.HaggleSkill.Name'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.HaggleSkill.Hint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            per: 'ARENA_MARKET.Haggle.Skills.per',
+            dec: 'ARENA_MARKET.Haggle.Skills.dec',
+            itm: 'ARENA_MARKET.Haggle.Skills.itm',
+            any: 'ARENA_MARKET.Haggle.Skills.any'
+        },
+        default: 'per'
+    });
+
+    game.settings.register(MODULE_ID, 'haggleAttempts', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.HaggleAttempts.Name'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.HaggleAttempts.Hint'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 1, max: 10, step: 1 },
+        default: 1
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'haggleTableMenu', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.HaggleTable.Name'),
+        label: game.i18n.localize('ARENA_MARKET.Settings.HaggleTable.Label'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.HaggleTable.Hint'),
+        icon: 'fas fa-table',
+        type: HaggleConfig,
+        restricted: true
+    });
+
+    game.settings.register(MODULE_ID, 'haggleTable', {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: DEFAULT_HAGGLE_TABLE  // [{ dc, modifier }], modifier in percent
+    });
+
+    // Haggled prices and attempts
+    game.settings.register(MODULE_ID, 'haggles', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}  // shopId -> actorId -> itemUuid -> { session, attempts, skill, total, modifier, price }
+    });
+
+    // Units bought per item, counted for purchase limits
+    game.settings.register(MODULE_ID, 'purchaseCounts', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}  // shopId -> itemUuid -> { actors: { actorId: n }, users: { userId: n }, sessions: { actorId: { session, count } } }
+    });
+
+    // Party fund: a dnd5e group actor and its members' spending rights
+    game.settings.registerMenu(MODULE_ID, 'treasuryMenu', {
+        name: game.i18n.localize('ARENA_MARKET.Settings.Treasury.Name'),
+        label: game.i18n.localize('ARENA_MARKET.Settings.Treasury.Label'),
+        hint: game.i18n.localize('ARENA_MARKET.Settings.Treasury.Hint'),
+        icon: 'fas fa-piggy-bank',
+        type: TreasuryConfig,
+        restricted: true
+    });
+
+    game.settings.register(MODULE_ID, 'treasury', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: { actorId: null, members: {} }  // members: actorId -> { canSpend, cap }, cap in gold per session
+    });
+
+    // Gold taken from the party fund, counted for spending caps
+    game.settings.register(MODULE_ID, 'treasurySpending', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}  // actorId -> { session, spent }
+    });
+
+    // Current game session, used to reset per-session limits
+    game.settings.register(MODULE_ID, 'session', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: { number: 1, startedAt: null }
+    });
+
+    // Shops: each one with its own item sources (compendiums and world item folders), items and open state;
+    // stock and reservations live in the ledger
+    game.settings.register(MODULE_ID, 'shops', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}  // shopId -> { id, name, icon, compendiums, items, pricing, restock, lastRestockDay, discounts, open }
+    });
+
+    // Shop configuration (legacy, migrated into 'shops')
     game.settings.register(MODULE_ID, 'shopConfig', {
         scope: 'world',
         config: false,
@@ -50,7 +294,15 @@ export function registerSettings() {
         }
     });
 
-    // Activity log
+    // Saved shop presets
+    game.settings.register(MODULE_ID, 'presets', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}  // presetId -> { id, name, savedAt, preset }
+    });
+
+    // Activity log (legacy, migrated into the ledger)
     game.settings.register(MODULE_ID, 'activityLog', {
         scope: 'world',
         config: false,
@@ -58,7 +310,7 @@ export function registerSettings() {
         default: []
     });
 
-    // Reservations
+    // Reservations (legacy, migrated into 'shops')
     game.settings.register(MODULE_ID, 'reservations', {
         scope: 'world',
         config: false,
@@ -74,106 +326,605 @@ export function getCurrencyName() {
     return game.settings.get(MODULE_ID, 'currencyName');
 }
 
+/**
+ * Get buy-back percentage for player sales
+ */
+export function getBuybackPercentage() {
+    return game.settings.get(MODULE_ID, 'buybackPercentage');
+}
+
+/**
+ * Get the current game session
+ * @returns {Object} { number, startedAt }
+ */
+export function getSession() {
+    return game.settings.get(MODULE_ID, 'session');
+}
+
+/**
+ * Start a new game session (GM only)
+ * @returns {Object} The new session
+ */
+export async function startSession() {
+    const session = {
+        number: (getSession().number || 0) + 1,
+        startedAt: new Date().toISOString()
+    };
+    await game.settings.set(MODULE_ID, 'session', session);
+    return session;
+}
+
+/**
+ * Check if haggling is enabled
+ */
+export function isHaggleEnabled() {
+    return game.settings.get(MODULE_ID, 'haggleEnabled');
+}
+
+/**
+ * Get the skills characters may haggle with
+ * @returns {string[]} dnd5e skill ids
+ */
+export function getHaggleSkills() {
+    const skill = game.settings.get(MODULE_ID, 'haggleSkill');
+    return skill === 'any' ? [...HAGGLE_SKILLS] : [skill];
+}
+
+/**
+ * Get the number of haggle attempts per item per session
+ */
+export function getHaggleAttempts() {
+    return game.settings.get(MODULE_ID, 'haggleAttempts');
+}
+
+/**
+ * Get the haggle DC table, highest DC first
+ * @returns {Object[]} Array of { dc, modifier }
+ */
+export function getHaggleTable() {
+    return [...game.settings.get(MODULE_ID, 'haggleTable')].sort((a, b) => b.dc - a.dc);
+}
+
+/**
+ * Get an actor's haggle record for an item
+ * @param {string} shopId - The shop's ID
+ * @param {string} actorId - The actor's ID
+ * @param {string} itemUuid - The item's UUID
+ * @returns {Object|null} { session, attempts, skill, total, modifier, price } or null
+ */
+export function getHaggle(shopId, actorId, itemUuid) {
+    return game.settings.get(MODULE_ID, 'haggles')[shopId]?.[actorId]?.[itemUuid] || null;
+}
+
+/**
+ * Store an actor's haggle record for an item
+ * @param {string} shopId - The shop's ID
+ * @param {string} actorId - The actor's ID
+ * @param {string} itemUuid - The item's UUID
+ * @param {Object} haggle - The haggle record
+ */
+export async function setHaggle(shopId, actorId, itemUuid, haggle) {
+    const haggles = game.settings.get(MODULE_ID, 'haggles');
+    haggles[shopId] ??= {};
+    haggles[shopId][actorId] ??= {};
+    haggles[shopId][actorId][itemUuid] = haggle;
+    await game.settings.set(MODULE_ID, 'haggles', haggles);
+}
+
+/**
+ * Get the units of an item bought so far, for purchase limits
+ * @param {string} shopId - The shop's ID
+ * @param {string} itemUuid - The item's UUID
+ * @returns {Object} { actors, users, sessions }
+ */
+export function getPurchaseCounts(shopId, itemUuid) {
+    const counts = game.settings.get(MODULE_ID, 'purchaseCounts')[shopId]?.[itemUuid];
+    return {
+        actors: counts?.actors || {},
+        users: counts?.users || {},
+        sessions: counts?.sessions || {}
+    };
+}
+
+/**
+ * Count units bought by an actor, with a single write
+ * @param {string} shopId - The shop's ID
+ * @param {string} actorId - The buying actor's ID
+ * @param {string|null} userId - The actor's owner
+ * @param {Object} quantities - itemUuid -> units bought (negative to give back)
+ */
+export async function addPurchaseCounts(shopId, actorId, userId, quantities) {
+    const allCounts = game.settings.get(MODULE_ID, 'purchaseCounts');
+    const session = getSession().number;
+    allCounts[shopId] ??= {};
+    for (const [itemUuid, quantity] of Object.entries(quantities)) {
+        const counts = allCounts[shopId][itemUuid] ??= { actors: {}, users: {}, sessions: {} };
+        counts.actors[actorId] = Math.max(0, (counts.actors[actorId] || 0) + quantity);
+        if (userId) {
+            counts.users[userId] = Math.max(0, (counts.users[userId] || 0) + quantity);
+        }
+        const sessionCount = counts.sessions[actorId]?.session === session ? counts.sessions[actorId].count : 0;
+        counts.sessions[actorId] = { session, count: Math.max(0, sessionCount + quantity) };
+    }
+    await game.settings.set(MODULE_ID, 'purchaseCounts', allCounts);
+}
+
+/**
+ * Get the party fund settings
+ * @returns {Object} { actorId, members }
+ */
+export function getTreasuryConfig() {
+    const config = game.settings.get(MODULE_ID, 'treasury');
+    return { actorId: config.actorId ?? null, members: config.members || {} };
+}
+
+/**
+ * Update the party fund settings (GM only)
+ * @param {Object} changes - Fields to overwrite
+ */
+export async function setTreasuryConfig(changes) {
+    await game.settings.set(MODULE_ID, 'treasury', { ...getTreasuryConfig(), ...changes });
+}
+
+/**
+ * Get the gold an actor took from the party fund this session
+ * @param {string} actorId - The actor's ID
+ * @returns {number} Amount in gold
+ */
+export function getTreasurySpent(actorId) {
+    const record = game.settings.get(MODULE_ID, 'treasurySpending')[actorId];
+    return record?.session === getSession().number ? record.spent : 0;
+}
+
+/**
+ * Count gold an actor took from the party fund this session
+ * @param {string} actorId - The actor's ID
+ * @param {number} amount - Amount in gold (negative to give back)
+ */
+export async function addTreasurySpent(actorId, amount) {
+    const spending = game.settings.get(MODULE_ID, 'treasurySpending');
+    const spent = Math.max(0, Math.round((getTreasurySpent(actorId) + amount) * 100) / 100);
+    spending[actorId] = { session: getSession().number, spent };
+    await game.settings.set(MODULE_ID, 'treasurySpending', spending);
+}
+
+/**
+ * Get all shops
+ * @returns {Object} shopId -> shop
+ */
+export function getShops() {
+    return game.settings.get(MODULE_ID, 'shops');
+}
+
+/**
+ * Get all shops sorted by name
+ * @returns {Object[]} Array of shops
+ */
+export function getShopList() {
+    return Object.values(getShops()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a shop by id
+ * @param {string} shopId - The shop's ID
+ * @returns {Object|null} The shop or null
+ */
+export function getShop(shopId) {
+    return getShops()[shopId] || null;
+}
+
+/**
+ * Get all open shops
+ * @returns {Object[]} Array of open shops
+ */
+export function getOpenShops() {
+    return getShopList().filter(shop => shop.open);
+}
+
+/**
+ * Create a new, closed and empty shop
+ * @param {string} name - Shop name
+ * @param {string} [icon] - Font Awesome icon classes
+ * @param {string} [id] - Shop ID, random if omitted
+ * @returns {Object} The created shop
+ */
+export async function createShop(name, icon = DEFAULT_SHOP_ICON, id = foundry.utils.randomID()) {
+    const shops = getShops();
+    shops[id] = {
+        id,
+        name,
+        icon,
+        compendiums: [],
+        folders: [],
+        items: {},
+        pricing: { ...DEFAULT_PRICING },
+        restock: { ...DEFAULT_RESTOCK },
+        discounts: [],
+        open: false
+    };
+    await game.settings.set(MODULE_ID, 'shops', shops);
+    return shops[id];
+}
+
+/**
+ * Delete a shop
+ * @param {string} shopId - The shop's ID
+ */
+export async function deleteShop(shopId) {
+    const shops = getShops();
+    delete shops[shopId];
+    await game.settings.set(MODULE_ID, 'shops', shops);
+    await Ledger.deleteShop(shopId);
+}
+
+/**
+ * Move the single pre multi-shop configuration into the default shop (GM only)
+ */
+export async function migrateLegacyShop() {
+    if (Object.keys(getShops()).length > 0) return;
+
+    const legacyConfig = game.settings.get(MODULE_ID, 'shopConfig');
+    const shops = {
+        [DEFAULT_SHOP_ID]: {
+            id: DEFAULT_SHOP_ID,
+            name: game.i18n.localize('ARENA_MARKET.Title'),
+            icon: DEFAULT_SHOP_ICON,
+            compendiums: legacyConfig.compendiums || [],
+            items: legacyConfig.items || {},
+            open: game.settings.get(MODULE_ID, 'shopOpen'),
+            reservations: game.settings.get(MODULE_ID, 'reservations')
+        }
+    };
+    await game.settings.set(MODULE_ID, 'shops', shops);
+    console.log(`${MODULE_ID} | Migrated legacy shop configuration`);
+}
+
 /**
  * Check if shop is open
+ * @param {string} shopId - The shop's ID
  */
-export function isShopOpen() {
-    return game.settings.get(MODULE_ID, 'shopOpen');
+export function isShopOpen(shopId) {
+    return !!getShop(shopId)?.open;
 }
 
 /**
  * Toggle shop state
+ * @param {string} shopId - The shop's ID
  */
-export async function toggleShop() {
-    const currentState = isShopOpen();
-    await game.settings.set(MODULE_ID, 'shopOpen', !currentState);
-    return !currentState;
+export async function toggleShop(shopId) {
+    const shops = getShops();
+    if (!shops[shopId]) return false;
+    shops[shopId].open = !shops[shopId].open;
+    await game.settings.set(MODULE_ID, 'shops', shops);
+    return shops[shopId].open;
+}
+
+/**
+ * Check if reservation items should be assigned automatically when they get stock
+ */
+export function isAutoAssignReservations() {
+    return game.settings.get(MODULE_ID, 'autoAssignReservations');
 }
 
 /**
  * Get shop configuration
+ * @param {string} shopId - The shop's ID
+ */
+export function getShopConfig(shopId) {
+    const shop = getShop(shopId);
+    const items = foundry.utils.deepClone(shop?.items || {});
+    const stock = Ledger.getShopStock(shopId);
+    for (const [itemUuid, itemConfig] of Object.entries(items)) {
+        if (itemUuid in stock) itemConfig.currentStock = stock[itemUuid];
+    }
+    return {
+        ...shop,
+        compendiums: shop?.compendiums || [],
+        folders: shop?.folders || [],
+        items,
+        pricing: { ...DEFAULT_PRICING, ...shop?.pricing },
+        restock: { ...DEFAULT_RESTOCK, ...shop?.restock }
+    };
+}
+
+/**
+ * Find the limited items whose stock goes from none to some
+ * @param {Object} before - itemUuid -> stock before the change; items without an entry count as none
+ * @param {Object} changes - itemUuid -> new stock, null for the configured quantity
+ * @param {Object} items - itemUuid -> item configuration
+ * @returns {string[]} UUIDs of the items back in stock
+ */
+function findRestocked(before, changes, items) {
+    return Object.entries(changes)
+        .filter(([itemUuid, stock]) => {
+            const itemConfig = items[itemUuid];
+            return (before[itemUuid] ?? 0) <= 0 && itemConfig?.availability === AVAILABILITY_TYPES.LIMITED &&
+                (stock ?? itemConfig.quantity ?? 0) > 0;
+        })
+        .map(([itemUuid]) => itemUuid);
+}
+
+/**
+ * Set shop configuration (name, icon, compendiums, folders, items, pricing, restock).
+ * Item stock goes to the ledger: only items given a currentStock are written, and items
+ * no longer in the shop lose theirs.
+ * Wishers of items back in stock are told.
+ * @param {string} shopId - The shop's ID
+ * @param {Object} config - Shop fields to overwrite
+ */
+export async function setShopConfig(shopId, config) {
+    const shops = getShops();
+    if (!shops[shopId]) return;
+    const { open, reservations, ...fields } = config;
+    let restocked = [];
+    if (fields.items) {
+        const before = Ledger.getShopStock(shopId);
+        const stock = Object.fromEntries(Object.keys(before)
+            .filter(itemUuid => !(itemUuid in fields.items))
+            .map(itemUuid => [itemUuid, null]));
+        fields.items = Object.fromEntries(Object.entries(fields.items).map(([itemUuid, { currentStock, ...itemConfig }]) => {
+            if (currentStock !== undefined) stock[itemUuid] = currentStock;
+            return [itemUuid, itemConfig];
+        }));
+        await Ledger.setStock(shopId, stock);
+        restocked = findRestocked(before, stock, fields.items);
+    }
+    Object.assign(shops[shopId], fields);
+    await game.settings.set(MODULE_ID, 'shops', shops);
+    if (restocked.length > 0) await Wishlist.notifyBackInStock(shopId, restocked);
+}
+
+/**
+ * Set the current stock of some items, without rewriting the shop.
+ * Wishers of items back in stock are told.
+ * @param {string} shopId - The shop's ID
+ * @param {Object} stock - itemUuid -> stock
+ */
+export async function setItemStock(shopId, stock) {
+    const before = Ledger.getShopStock(shopId);
+    await Ledger.setStock(shopId, stock);
+    const restocked = findRestocked(before, stock, getShop(shopId)?.items || {});
+    if (restocked.length > 0) await Wishlist.notifyBackInStock(shopId, restocked);
+}
+
+/**
+ * Get the shop presets saved in this world, sorted by name
+ * @returns {Object[]} Array of { id, name, savedAt, preset }
+ */
+export function getPresetList() {
+    return Object.values(game.settings.get(MODULE_ID, 'presets')).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a saved shop preset
+ * @param {string} presetId - The preset's ID
+ * @returns {Object|null} { id, name, savedAt, preset } or null
+ */
+export function getPreset(presetId) {
+    return game.settings.get(MODULE_ID, 'presets')[presetId] || null;
+}
+
+/**
+ * Save a shop preset in this world; a preset with the same name is overwritten
+ * @param {string} name - Preset name
+ * @param {Object} preset - The preset
+ * @returns {Object} The saved preset record
+ */
+export async function savePreset(name, preset) {
+    const presets = game.settings.get(MODULE_ID, 'presets');
+    const id = Object.values(presets).find(p => p.name === name)?.id ?? foundry.utils.randomID();
+    presets[id] = { id, name, savedAt: new Date().toISOString(), preset };
+    await game.settings.set(MODULE_ID, 'presets', presets);
+    return presets[id];
+}
+
+/**
+ * Delete a saved shop preset
+ * @param {string} presetId - The preset's ID
+ */
+export async function deletePreset(presetId) {
+    const presets = game.settings.get(MODULE_ID, 'presets');
+    delete presets[presetId];
+    await game.settings.set(MODULE_ID, 'presets', presets);
+}
+
+/**
+ * Get a shop's discounts and coupons
+ * @param {string} shopId - The shop's ID
+ * @returns {Object[]} Array of { id, name, percent, target, value, start, end, maxUses, uses, code }
+ */
+export function getDiscounts(shopId) {
+    return getShop(shopId)?.discounts || [];
+}
+
+/**
+ * Add a discount or coupon to a shop
+ * @param {string} shopId - The shop's ID
+ * @param {Object} discount - Discount fields
+ * @returns {Object|null} The created discount
  */
-export function getShopConfig() {
-    return game.settings.get(MODULE_ID, 'shopConfig');
+export async function addDiscount(shopId, discount) {
+    const shops = getShops();
+    if (!shops[shopId]) return null;
+    const created = { ...discount, id: foundry.utils.randomID(), uses: 0 };
+    shops[shopId].discounts = [...(shops[shopId].discounts || []), created];
+    await game.settings.set(MODULE_ID, 'shops', shops);
+    return created;
 }
 
 /**
- * Set shop configuration
+ * Delete a discount
+ * @param {string} shopId - The shop's ID
+ * @param {string} discountId - The discount's ID
  */
-export async function setShopConfig(config) {
-    await game.settings.set(MODULE_ID, 'shopConfig', config);
+export async function deleteDiscount(shopId, discountId) {
+    const shops = getShops();
+    if (!shops[shopId]?.discounts) return;
+    shops[shopId].discounts = shops[shopId].discounts.filter(d => d.id !== discountId);
+    await game.settings.set(MODULE_ID, 'shops', shops);
 }
 
 /**
- * Get activity log
+ * Count one use of each discount, with a single write
+ * @param {string} shopId - The shop's ID
+ * @param {string[]} discountIds - Discounts used
+ */
+export async function useDiscounts(shopId, discountIds) {
+    const shops = getShops();
+    for (const discount of shops[shopId]?.discounts || []) {
+        if (discountIds.includes(discount.id)) discount.uses = (discount.uses || 0) + 1;
+    }
+    await game.settings.set(MODULE_ID, 'shops', shops);
+}
+
+/**
+ * Get activity log, newest first
  */
 export function getActivityLog() {
-    return game.settings.get(MODULE_ID, 'activityLog');
+    return Ledger.getEntries();
+}
+
+/**
+ * Get an entry of the activity log
+ * @param {string} entryId - The entry's ID
+ * @returns {Object|null} The entry or null
+ */
+export function getActivityLogEntry(entryId) {
+    return Ledger.getEntry(entryId);
+}
+
+/**
+ * Get the activity log entries of an item in a shop, newest first
+ * @param {string} shopId - The shop's ID
+ * @param {string} itemUuid - The item's UUID
+ */
+export function getItemActivityLog(shopId, itemUuid) {
+    return Ledger.getItemEntries(shopId, itemUuid);
 }
 
 /**
  * Add entry to activity log
+ * @returns {Object} The logged entry
  */
 export async function addActivityLog(entry) {
-    const log = getActivityLog();
-    log.unshift({
+    const [logged] = await addActivityLogEntries([entry]);
+    return logged;
+}
+
+/**
+ * Add several entries to activity log; each one is appended to the ledger on its own
+ * @returns {Object[]} The logged entries, with ID and timestamp
+ */
+export async function addActivityLogEntries(entries) {
+    const timestamp = new Date().toISOString();
+    const logged = entries.map(entry => ({
         ...entry,
         id: foundry.utils.randomID(),
-        timestamp: new Date().toISOString()
-    });
-    // Keep only last 500 entries (persistent log)
-    if (log.length > 500) log.pop();
-    await game.settings.set(MODULE_ID, 'activityLog', log);
+        timestamp
+    }));
+    await Ledger.appendEntries(logged);
+    return logged;
+}
+
+/**
+ * Update an entry of the activity log
+ * @param {string} entryId - The entry's ID
+ * @param {Object} changes - Fields to overwrite
+ */
+export async function updateActivityLogEntry(entryId, changes) {
+    await Ledger.updateEntry(entryId, changes);
 }
 
 /**
  * Delete a specific entry from activity log
  */
 export async function deleteActivityLogEntry(entryId) {
-    const log = getActivityLog();
-    const index = log.findIndex(entry => entry.id === entryId);
-    if (index > -1) {
-        log.splice(index, 1);
-        await game.settings.set(MODULE_ID, 'activityLog', log);
-    }
+    await Ledger.deleteEntry(entryId);
 }
 
 /**
  * Clear activity log
  */
 export async function clearActivityLog() {
-    await game.settings.set(MODULE_ID, 'activityLog', []);
+    await Ledger.clearEntries();
 }
 
 /**
  * Get reservations
+ * @param {string} shopId - The shop's ID
  */
-export function getReservations() {
-    return game.settings.get(MODULE_ID, 'reservations');
+export function getReservations(shopId) {
+    return Ledger.getReservations(shopId);
 }
 
 /**
  * Add reservation
  */
-export async function addReservation(itemUuid, actorId, actorName, playerName) {
-    const reservations = getReservations();
-    if (!reservations[itemUuid]) {
-        reservations[itemUuid] = [];
-    }
-    reservations[itemUuid].push({
+export async function addReservation(shopId, itemUuid, actorId, actorName, playerName) {
+    if (!getShop(shopId)) return;
+    const queue = getReservations(shopId)[itemUuid] || [];
+    queue.push({
         actorId,
         actorName,
         playerName,
+        status: RESERVATION_STATUS.PENDING,
         timestamp: new Date().toISOString()
     });
-    await game.settings.set(MODULE_ID, 'reservations', reservations);
+    await Ledger.setReservationQueue(shopId, itemUuid, queue);
+}
+
+/**
+ * Update an actor's reservation for an item
+ */
+export async function updateReservation(shopId, itemUuid, actorId, changes) {
+    const queue = getReservations(shopId)[itemUuid];
+    const reservation = queue?.find(r => r.actorId === actorId);
+    if (!reservation) return;
+    Object.assign(reservation, changes);
+    await Ledger.setReservationQueue(shopId, itemUuid, queue);
+}
+
+/**
+ * Remove an actor's reservation for an item
+ */
+export async function removeReservation(shopId, itemUuid, actorId) {
+    const queue = getReservations(shopId)[itemUuid];
+    if (!queue) return;
+    await Ledger.setReservationQueue(shopId, itemUuid, queue.filter(r => r.actorId !== actorId));
+}
+
+/**
+ * Replace the reservation queues of several items at once
+ * @param {string} shopId - The shop's ID
+ * @param {Object} queues - itemUuid -> new queue, empty to remove it
+ */
+export async function setReservations(shopId, queues) {
+    await Ledger.setReservations(shopId, queues);
 }
 
 /**
  * Clear reservations for an item
  */
-export async function clearItemReservations(itemUuid) {
-    const reservations = getReservations();
-    delete reservations[itemUuid];
-    await game.settings.set(MODULE_ID, 'reservations', reservations);
+export async function clearItemReservations(shopId, itemUuid) {
+    await Ledger.setReservationQueue(shopId, itemUuid, []);
+}
+
+/**
+ * Get the bids and state of every auction of a shop
+ * @param {string} shopId - The shop's ID
+ * @returns {Object} itemUuid -> { scheduledEnd, endsAt, bids, closed, winner }
+ */
+export function getAuctions(shopId) {
+    return Ledger.getAuctions(shopId);
+}
+
+/**
+ * Replace the state of an item's auction
+ * @param {string} shopId - The shop's ID
+ * @param {string} itemUuid - The item's UUID
+ * @param {Object|null} auction - The new state, null to forget the auction
+ */
+export async function setAuction(shopId, itemUuid, auction) {
+    if (!getShop(shopId)) return;
+    await Ledger.setAuction(shopId, itemUuid, auction);
 }
@@ -0,0 +1,148 @@
+/**
+ * Fuori D20: Arena Market
+ * Currency - D&D 5e denominations, wallet value and change-making
+ */
+
+/**
+ * Value of each D&D 5e denomination in copper pieces, from largest to smallest
+ */
+export const DENOMINATIONS = {
+    pp: 1000,
+    gp: 100,
+    ep: 50,
+    sp: 10,
+    cp: 1
+};
+
+/**
+ * Denominations the shop hands out as change and payments
+ */
+const CHANGE_DENOMINATIONS = ['gp', 'sp', 'cp'];
+
+/**
+ * Convert an amount in a denomination to copper pieces
+ * @param {number} amount - Amount of coins
+ * @param {string} [denomination='gp'] - Denomination key
+ * @returns {number} Value in copper pieces
+ */
+export function toCopper(amount, denomination = 'gp') {
+    const rate = DENOMINATIONS[denomination] ?? DENOMINATIONS.gp;
+    return Math.round((Number(amount) || 0) * rate);
+}
+
+/**
+ * Convert copper pieces to gold, keeping copper precision
+ * @param {number} copper - Value in copper pieces
+ * @returns {number} Value in gold pieces
+ */
+export function toGold(copper) {
+    return Math.round(copper) / DENOMINATIONS.gp;
+}
+
+/**
+ * Get the coins held by an actor
+ * @param {Actor} actor - The actor
+ * @returns {Object} Denomination -> amount
+ */
+export function getCurrency(actor) {
+    const currency = actor?.system?.currency || {};
+    return Object.fromEntries(Object.keys(DENOMINATIONS).map(key => [key, Number(currency[key]) || 0]));
+}
+
+/**
+ * Get the total value of a set of coins
+ * @param {Object} currency - Denomination -> amount
+ * @returns {number} Value in copper pieces
+ */
+export function getCurrencyValue(currency) {
+    return Object.entries(DENOMINATIONS)
+        .reduce((sum, [key, rate]) => sum + (Number(currency?.[key]) || 0) * rate, 0);
+}
+
+/**
+ * Get the total value of an actor's wallet
+ * @param {Actor} actor - The actor
+ * @returns {number} Value in copper pieces
+ */
+export function getWalletCopper(actor) {
+    return getCurrencyValue(getCurrency(actor));
+}
+
+/**
+ * Get an actor's wallet as a list of denominations for display
+ * @param {Actor} actor - The actor
+ * @returns {Object[]} Array of { key, label, amount }
+ */
+export function getWalletBreakdown(actor) {
+    const currency = getCurrency(actor);
+    return Object.keys(DENOMINATIONS).map(key => {
+        const abbreviation = CONFIG.DND5E?.currencies?.[key]?.abbreviation;
+        return {
+            key,
+            label: abbreviation ? game.i18n.localize(abbreviation) : key,
+            amount: currency[key]
+        };
+    });
+}
+
+/**
+ * Split a copper value into coins, largest denomination first
+ * @param {number} copper - Value in copper pieces
+ * @returns {Object} Denomination -> amount
+ */
+function makeChange(copper) {
+    const coins = {};
+    let remaining = copper;
+    for (const key of CHANGE_DENOMINATIONS) {
+        coins[key] = Math.floor(remaining / DENOMINATIONS[key]);
+        remaining -= coins[key] * DENOMINATIONS[key];
+    }
+    return coins;
+}
+
+/**
+ * Pay an amount out of a set of coins.
+ * Smaller coins are spent first; if no exact combination exists, the smallest
+ * coin that covers the rest is broken and change is returned in gp/sp/cp.
+ * @param {Object} currency - Denomination -> amount
+ * @param {number} copper - Amount to pay in copper pieces
+ * @returns {Object|null} Coins left after paying, or null if the wallet is too small
+ */
+export function pay(currency, copper) {
+    const wallet = { ...currency };
+    if (getCurrencyValue(wallet) < copper) return null;
+
+    let remaining = copper;
+    const ascending = Object.keys(DENOMINATIONS).reverse();
+    for (const key of ascending) {
+        const used = Math.min(wallet[key] || 0, Math.floor(remaining / DENOMINATIONS[key]));
+        wallet[key] = (wallet[key] || 0) - used;
+        remaining -= used * DENOMINATIONS[key];
+    }
+
+    if (remaining > 0) {
+        const broken = ascending.find(key => wallet[key] > 0);
+        wallet[broken] -= 1;
+        const change = makeChange(DENOMINATIONS[broken] - remaining);
+        for (const [key, amount] of Object.entries(change)) {
+            wallet[key] = (wallet[key] || 0) + amount;
+        }
+    }
+
+    return wallet;
+}
+
+/**
+ * Add an amount to a set of coins, in gp/sp/cp
+ * @param {Object} currency - Denomination -> amount
+ * @param {number} copper - Amount to add in copper pieces
+ * @returns {Object} Coins after receiving the amount
+ */
+export function receive(currency, copper) {
+    const wallet = { ...currency };
+    const coins = makeChange(copper);
+    for (const [key, amount] of Object.entries(coins)) {
+        wallet[key] = (wallet[key] || 0) + amount;
+    }
+    return wallet;
+}
@@ -0,0 +1,107 @@
+/**
+ * Fuori D20: Arena Market
+ * Haggle Config - Settings menu for the haggle DC table
+ */
+
+import { MODULE_ID, DEFAULT_HAGGLE_TABLE, getHaggleTable } from './config.js';
+
+/**
+ * HaggleConfig - GM form for editing which DC gives which price change
+ */
+export class HaggleConfig extends FormApplication {
+
+    constructor(options = {}) {
+        super(options);
+        this._rows = getHaggleTable().reverse();
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'arena-market-haggle-config',
+            title: game.i18n.localize('ARENA_MARKET.Settings.HaggleTable.Name'),
+            template: `modules/${MODULE_ID}/templates/haggle-config.hbs`,
+            classes: ['arena-market', 'arena-market-haggle-config'],
+            width: 400,
+            height: 'auto',
+            closeOnSubmit: true
+        });
+    }
+
+    /**
+     * Get data for template rendering
+     */
+    getData() {
+        return {
+            rows: this._rows.map((row, index) => ({ ...row, index }))
+        };
+    }
+
+    /**
+     * Activate event listeners
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.add-row-btn').on('click', this._onAddRow.bind(this));
+        html.find('.remove-row-btn').on('click', this._onRemoveRow.bind(this));
+        html.find('.reset-table-btn').on('click', this._onResetTable.bind(this));
+    }
+
+    /**
+     * Read the rows currently typed in the form
+     */
+    _readRows() {
+        return this._parseRows(this._getSubmitData());
+    }
+
+    /**
+     * Turn flat form data into table rows
+     * @param {Object} formData - Flat form data (rows.N.dc, rows.N.modifier)
+     * @returns {Object[]} Array of { dc, modifier }
+     */
+    _parseRows(formData) {
+        const data = foundry.utils.expandObject(formData);
+        return Object.values(data.rows || {}).map(row => ({
+            dc: Number(row.dc) || 0,
+            modifier: Number(row.modifier) || 0
+        }));
+    }
+
+    /**
+     * Add a row below the highest DC
+     */
+    _onAddRow(event) {
+        event.preventDefault();
+        this._rows = this._readRows();
+        const highest = this._rows.reduce((max, row) => Math.max(max, row.dc), 0);
+        this._rows.push({ dc: highest + 5, modifier: 0 });
+        this.render(false);
+    }
+
+    /**
+     * Remove a row
+     */
+    _onRemoveRow(event) {
+        event.preventDefault();
+        this._rows = this._readRows();
+        this._rows.splice(Number(event.currentTarget.dataset.index), 1);
+        this.render(false);
+    }
+
+    /**
+     * Restore the default table
+     */
+    _onResetTable(event) {
+        event.preventDefault();
+        this._rows = foundry.utils.deepClone(DEFAULT_HAGGLE_TABLE);
+        this.render(false);
+    }
+
+    /**
+     * Save the table
+     */
+    async _updateObject(event, formData) {
+        const rows = this._parseRows(formData);
+        await game.settings.set(MODULE_ID, 'haggleTable', rows.sort((a, b) => a.dc - b.dc));
+    }
+}
@@ -0,0 +1,384 @@
+/**
+ * Fuori D20: Arena Market
+ * Ledger - Append-only storage for the activity log, stock, reservations and handled requests
+ */
+
+import { MODULE_ID } from './config.js';
+
+/**
+ * Ledger data version, bumped when stored data needs migrating
+ */
+const LEDGER_VERSION = 1;
+
+/**
+ * How long a handled request is remembered, in milliseconds
+ */
+const REQUEST_RETENTION = 60 * 60 * 1000;
+
+/**
+ * Turn an item UUID into a flag key (flag paths cannot contain dots)
+ * @param {string} itemUuid - The item's UUID
+ * @returns {string} Flag key
+ */
+function toKey(itemUuid) {
+    return itemUuid.replaceAll('.', '~');
+}
+
+/**
+ * Turn a flag key back into an item UUID
+ * @param {string} key - Flag key
+ * @returns {string} The item's UUID
+ */
+function fromKey(key) {
+    return key.replaceAll('~', '.');
+}
+
+/**
+ * Ledger keeps the market's growing data in a hidden journal entry:
+ * one page per activity log entry, plus per-item stock and reservation flags,
+ * so every write only touches what changed.
+ */
+export class Ledger {
+    static _log = null;
+    static _itemIndex = null;
+
+    /**
+     * The ledger journal entry, if it exists yet
+     * @returns {JournalEntry|undefined}
+     */
+    static get journal() {
+        return game.journal?.find(journal => journal.getFlag(MODULE_ID, 'ledger'));
+    }
+
+    /**
+     * Keep the cached log in sync with ledger page changes
+     */
+    static registerHooks() {
+        const invalidate = (page) => {
+            if (page.parent?.getFlag(MODULE_ID, 'ledger')) this._invalidate();
+        };
+        Hooks.on('createJournalEntryPage', invalidate);
+        Hooks.on('updateJournalEntryPage', invalidate);
+        Hooks.on('deleteJournalEntryPage', invalidate);
+        Hooks.on('deleteJournalEntry', (journal) => {
+            if (journal.getFlag(MODULE_ID, 'ledger')) this._invalidate();
+        });
+    }
+
+    /**
+     * Create the ledger if missing and move legacy setting data into it (active GM only)
+     */
+    static async initialize() {
+        let journal = this.journal;
+        if (!journal) {
+            journal = await JournalEntry.create({
+                name: game.i18n.localize('ARENA_MARKET.Ledger.Name'),
+                ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+                flags: { [MODULE_ID]: { ledger: true, version: 0, stock: {}, reservations: {} } }
+            });
+        }
+        if ((journal.getFlag(MODULE_ID, 'version') ?? 0) < LEDGER_VERSION) {
+            await this._migrateSettings(journal);
+        }
+        this._invalidate();
+    }
+
+    /**
+     * Move the activity log, stock and reservations out of the world settings
+     * @param {JournalEntry} journal - The ledger journal entry
+     */
+    static async _migrateSettings(journal) {
+        const log = game.settings.get(MODULE_ID, 'activityLog') || [];
+        const shops = game.settings.get(MODULE_ID, 'shops');
+
+        const stock = {};
+        const reservations = {};
+        for (const shop of Object.values(shops)) {
+            for (const [itemUuid, itemConfig] of Object.entries(shop.items || {})) {
+                if (itemConfig.currentStock !== undefined && itemConfig.currentStock !== null) {
+                    stock[shop.id] ??= {};
+                    stock[shop.id][toKey(itemUuid)] = itemConfig.currentStock;
+                }
+                delete itemConfig.currentStock;
+            }
+            for (const [itemUuid, queue] of Object.entries(shop.reservations || {})) {
+                reservations[shop.id] ??= {};
+                reservations[shop.id][toKey(itemUuid)] = queue;
+            }
+            delete shop.reservations;
+        }
+
+        await journal.createEmbeddedDocuments('JournalEntryPage', log.map(entry => this._toPageData(entry)), { keepId: true });
+        await journal.update({
+            [`flags.${MODULE_ID}`]: { version: LEDGER_VERSION, stock, reservations }
+        });
+        await game.settings.set(MODULE_ID, 'shops', shops);
+        await game.settings.set(MODULE_ID, 'activityLog', []);
+        console.log(`${MODULE_ID} | Migrated ${log.length} log entries, stock and reservations into the ledger`);
+    }
+
+    /* -------------------------------------------- */
+    /*  Activity log                                */
+    /* -------------------------------------------- */
+
+    /**
+     * Build the page holding a log entry
+     * @param {Object} entry - Log entry with id and timestamp
+     * @returns {Object} JournalEntryPage data
+     */
+    static _toPageData(entry) {
+        const id = foundry.data.validators.isValidId(entry.id) ? entry.id : foundry.utils.randomID();
+        return {
+            _id: id,
+            name: `${entry.type}: ${entry.itemName ?? ''}`,
+            type: 'text',
+            flags: { [MODULE_ID]: { entry: { ...entry, id } } }
+        };
+    }
+
+    /**
+     * Drop the cached log
+     */
+    static _invalidate() {
+        this._log = null;
+        this._itemIndex = null;
+    }
+
+    /**
+     * Get every log entry, newest first
+     * @returns {Object[]} Log entries
+     */
+    static getEntries() {
+        if (!this._log) {
+            const pages = this.journal?.pages.contents ?? [];
+            this._log = pages
+                .map(page => page.getFlag(MODULE_ID, 'entry'))
+                .filter(Boolean)
+                .map(entry => foundry.utils.deepClone(entry))
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        }
+        return this._log;
+    }
+
+    /**
+     * Get a log entry by ID
+     * @param {string} entryId - The entry's ID
+     * @returns {Object|null} The entry or null
+     */
+    static getEntry(entryId) {
+        const entry = this.journal?.pages.get(entryId)?.getFlag(MODULE_ID, 'entry');
+        return entry ? foundry.utils.deepClone(entry) : null;
+    }
+
+    /**
+     * Get the log entries of an item in a shop, newest first
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object[]} Log entries
+     */
+    static getItemEntries(shopId, itemUuid) {
+        if (!this._itemIndex) {
+            this._itemIndex = new Map();
+            for (const entry of this.getEntries()) {
+                if (!entry.itemUuid) continue;
+                const key = `${entry.shopId}|${entry.itemUuid}`;
+                if (!this._itemIndex.has(key)) this._itemIndex.set(key, []);
+                this._itemIndex.get(key).push(entry);
+            }
+        }
+        return this._itemIndex.get(`${shopId}|${itemUuid}`) || [];
+    }
+
+    /**
+     * Append entries, one page each
+     * @param {Object[]} entries - Entries with id and timestamp
+     */
+    static async appendEntries(entries) {
+        const journal = this.journal;
+        if (!journal || entries.length === 0) return;
+        await journal.createEmbeddedDocuments('JournalEntryPage', entries.map(entry => this._toPageData(entry)), { keepId: true });
+    }
+
+    /**
+     * Update fields of an entry
+     * @param {string} entryId - The entry's ID
+     * @param {Object} changes - Fields to overwrite
+     */
+    static async updateEntry(entryId, changes) {
+        const page = this.journal?.pages.get(entryId);
+        if (!page) return;
+        await page.update({ [`flags.${MODULE_ID}.entry`]: changes });
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} entryId - The entry's ID
+     */
+    static async deleteEntry(entryId) {
+        const journal = this.journal;
+        if (!journal?.pages.has(entryId)) return;
+        await journal.deleteEmbeddedDocuments('JournalEntryPage', [entryId]);
+    }
+
+    /**
+     * Delete every entry
+     */
+    static async clearEntries() {
+        await this.journal?.deleteEmbeddedDocuments('JournalEntryPage', [], { deleteAll: true });
+    }
+
+    /* -------------------------------------------- */
+    /*  Stock                                       */
+    /* -------------------------------------------- */
+
+    /**
+     * Get the current stock of every item of a shop
+     * @param {string} shopId - The shop's ID
+     * @returns {Object} itemUuid -> stock
+     */
+    static getShopStock(shopId) {
+        const stock = this.journal?.getFlag(MODULE_ID, 'stock')?.[shopId] || {};
+        return Object.fromEntries(Object.entries(stock).map(([key, value]) => [fromKey(key), value]));
+    }
+
+    /**
+     * Set the stock of some items, writing only the values that changed
+     * @param {string} shopId - The shop's ID
+     * @param {Object} changes - itemUuid -> stock, null to forget the item
+     */
+    static async setStock(shopId, changes) {
+        const journal = this.journal;
+        if (!journal) return;
+        const current = journal.getFlag(MODULE_ID, 'stock')?.[shopId] || {};
+        const update = {};
+        for (const [itemUuid, value] of Object.entries(changes)) {
+            const key = toKey(itemUuid);
+            if (value === null || value === undefined) {
+                if (key in current) update[`flags.${MODULE_ID}.stock.${shopId}.-=${key}`] = null;
+            } else if (current[key] !== value) {
+                update[`flags.${MODULE_ID}.stock.${shopId}.${key}`] = value;
+            }
+        }
+        if (Object.keys(update).length > 0) await journal.update(update);
+    }
+
+    /* -------------------------------------------- */
+    /*  Reservations                                */
+    /* -------------------------------------------- */
+
+    /**
+     * Get the reservation queues of a shop
+     * @param {string} shopId - The shop's ID
+     * @returns {Object} itemUuid -> [reservation]
+     */
+    static getReservations(shopId) {
+        const reservations = this.journal?.getFlag(MODULE_ID, 'reservations')?.[shopId] || {};
+        return Object.fromEntries(Object.entries(reservations).map(([key, queue]) => [fromKey(key), foundry.utils.deepClone(queue)]));
+    }
+
+    /**
+     * Replace the reservation queue of an item
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object[]} queue - The new queue, empty to remove it
+     */
+    static async setReservationQueue(shopId, itemUuid, queue) {
+        await this.setReservations(shopId, { [itemUuid]: queue });
+    }
+
+    /**
+     * Replace the reservation queues of several items with a single update
+     * @param {string} shopId - The shop's ID
+     * @param {Object} queues - itemUuid -> new queue, empty to remove it
+     */
+    static async setReservations(shopId, queues) {
+        const journal = this.journal;
+        if (!journal) return;
+        const current = journal.getFlag(MODULE_ID, 'reservations')?.[shopId] || {};
+        const update = {};
+        for (const [itemUuid, queue] of Object.entries(queues)) {
+            const key = toKey(itemUuid);
+            if (queue.length > 0) {
+                update[`flags.${MODULE_ID}.reservations.${shopId}.${key}`] = queue;
+            } else if (current[key]) {
+                update[`flags.${MODULE_ID}.reservations.${shopId}.-=${key}`] = null;
+            }
+        }
+        if (Object.keys(update).length > 0) await journal.update(update);
+    }
+
+    /* -------------------------------------------- */
+    /*  Auctions                                    */
+    /* -------------------------------------------- */
+
+    /**
+     * Get the auctions of a shop
+     * @param {string} shopId - The shop's ID
+     * @returns {Object} itemUuid -> auction state
+     */
+    static getAuctions(shopId) {
+        const auctions = this.journal?.getFlag(MODULE_ID, 'auctions')?.[shopId] || {};
+        return Object.fromEntries(Object.entries(auctions).map(([key, auction]) => [fromKey(key), foundry.utils.deepClone(auction)]));
+    }
+
+    /**
+     * Replace the state of an item's auction
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object|null} auction - The new state, null to remove it
+     */
+    static async setAuction(shopId, itemUuid, auction) {
+        const journal = this.journal;
+        if (!journal) return;
+        const key = toKey(itemUuid);
+        if (auction) {
+            await journal.update({ [`flags.${MODULE_ID}.auctions.${shopId}.${key}`]: auction });
+        } else if (journal.getFlag(MODULE_ID, 'auctions')?.[shopId]?.[key]) {
+            await journal.update({ [`flags.${MODULE_ID}.auctions.${shopId}.-=${key}`]: null });
+        }
+    }
+
+    /* -------------------------------------------- */
+    /*  Handled requests                            */
+    /* -------------------------------------------- */
+
+    /**
+     * Get the record of a request the active GM started handling
+     * @param {string} requestId - The request's ID
+     * @returns {Object|null} { timestamp, result } (no result while in progress) or null
+     */
+    static getRequest(requestId) {
+        const record = this.journal?.getFlag(MODULE_ID, 'requests')?.[requestId];
+        return record ? foundry.utils.deepClone(record) : null;
+    }
+
+    /**
+     * Record a request, forgetting the ones older than an hour
+     * @param {string} requestId - The request's ID
+     * @param {Object} record - Fields to store, e.g. { result }
+     */
+    static async setRequest(requestId, record) {
+        const journal = this.journal;
+        if (!journal) return;
+        const now = Date.now();
+        const update = {
+            [`flags.${MODULE_ID}.requests.${requestId}`]: { timestamp: now, ...record }
+        };
+        for (const [id, { timestamp }] of Object.entries(journal.getFlag(MODULE_ID, 'requests') || {})) {
+            if (now - timestamp > REQUEST_RETENTION) update[`flags.${MODULE_ID}.requests.-=${id}`] = null;
+        }
+        await journal.update(update);
+    }
+
+    /**
+     * Forget the stock, reservations and auctions of a deleted shop
+     * @param {string} shopId - The shop's ID
+     */
+    static async deleteShop(shopId) {
+        await this.journal?.update({
+            [`flags.${MODULE_ID}.stock.-=${shopId}`]: null,
+            [`flags.${MODULE_ID}.reservations.-=${shopId}`]: null,
+            [`flags.${MODULE_ID}.auctions.-=${shopId}`]: null
+        });
+    }
+}
@@ -3,7 +3,19 @@
  * Market Store - Data persistence and transactions
  */
 
-import { MODULE_ID, getShopConfig, setShopConfig, addActivityLog, getCurrencyName, addReservation, getReservations, AVAILABILITY_TYPES } from './config.js';
+import { toCopper, toGold, getCurrency, getCurrencyValue, getWalletCopper, pay, receive } from './currency.js';
+import { Treasury } from './treasury.js';
+import { MODULE_ID, getShop, getShopConfig, setShopConfig, setItemStock, getActivityLogEntry, getItemActivityLog, addActivityLog, updateActivityLogEntry, addActivityLogEntries, getCurrencyName, getBuybackPercentage, getShops, getSession, getDiscounts, useDiscounts, getHaggle, setHaggle, getPurchaseCounts, addPurchaseCounts, getHaggleSkills, getHaggleAttempts, getHaggleTable, isHaggleEnabled, addReservation, getReservations, updateReservation, removeReservation, isAutoAssignReservations, isShopOpen, getAuctions, setAuction, AVAILABILITY_TYPES, RESERVATION_STATUS, RESTOCK_TRIGGERS, DISCOUNT_TARGETS, DEFAULT_AUCTION } from './config.js';
+
+/**
+ * How far back price trends look, in milliseconds
+ */
+const PRICE_TREND_WINDOW = 3600000;
+
+/**
+ * Length of an in-game day, in seconds of world time
+ */
+const SECONDS_PER_DAY = 86400;
 
 /**
  * MarketStore handles all data operations for the shop
@@ -12,14 +24,51 @@ export class MarketStore {
 
     /**
      * Get item configuration from shop config
+     * @param {string} shopId - The shop's ID
      * @param {string} itemUuid - The item's UUID
      * @returns {Object|null} Item configuration or null
      */
-    static getItemConfig(itemUuid) {
-        const config = getShopConfig();
+    static getItemConfig(shopId, itemUuid) {
+        const config = getShopConfig(shopId);
         return config.items?.[itemUuid] || null;
     }
 
+    /**
+     * Load the items of a shop's sources, one category per compendium or world item folder.
+     * A folder category also holds the items of its subfolders.
+     * @param {string[]} compendiums - Compendium IDs
+     * @param {string[]} folders - World Item folder IDs
+     * @returns {Object[]} Array of { id, name, isFolder, items }
+     */
+    static async getItemCategories(compendiums = [], folders = []) {
+        const categories = [];
+        for (const compId of compendiums) {
+            const pack = game.packs.get(compId);
+            if (!pack) continue;
+            categories.push({ id: compId, name: pack.metadata.label, isFolder: false, items: await pack.getDocuments() });
+        }
+        for (const folderId of folders) {
+            const folder = game.folders.get(folderId);
+            if (folder?.type !== 'Item') continue;
+            const items = [folder, ...folder.getSubfolders(true)].flatMap(f => f.contents);
+            categories.push({ id: folderId, name: folder.name, isFolder: true, items });
+        }
+        return categories;
+    }
+
+    /**
+     * Check whether a shop item's source document no longer exists (e.g. a deleted world item)
+     * @param {string} itemUuid - The item's UUID
+     * @returns {boolean} True if the item cannot be found
+     */
+    static isSourceMissing(itemUuid) {
+        try {
+            return !fromUuidSync(itemUuid, { strict: false });
+        } catch {
+            return true;
+        }
+    }
+
     /**
      * Get effective price for an item
      * @param {Item} item - The Foundry item
@@ -30,17 +79,340 @@ export class MarketStore {
         if (itemConfig?.customPrice !== null && itemConfig?.customPrice !== undefined && itemConfig?.customPrice !== '') {
             return Number(itemConfig.customPrice);
         }
-        // Get price from D&D 5e item
-        return item.system?.price?.value || 0;
+        // Get price from D&D 5e item, normalized from its denomination to gold
+        const price = item.system?.price;
+        return toGold(toCopper(price?.value || 0, price?.denomination || 'gp'));
+    }
+
+    /**
+     * Get an item's current price in a shop, after supply and demand
+     * @param {string} shopId - The shop's ID
+     * @param {Item} item - The Foundry item
+     * @param {Object} itemConfig - Item configuration from shop
+     * @param {Object} [config] - The shop's configuration, read once by callers that ask about many items
+     * @returns {number} Price in gold
+     */
+    static getMarketPrice(shopId, item, itemConfig, config = getShopConfig(shopId)) {
+        const basePrice = this.getItemPrice(item, itemConfig);
+        if (!this.isDynamicPriced(shopId, itemConfig, config)) return basePrice;
+        const multiplier = this._getPriceMultiplier(shopId, item.uuid, itemConfig, Date.now(), config);
+        return toGold(Math.round(toCopper(basePrice) * multiplier));
+    }
+
+    /**
+     * Check whether an item's price follows supply and demand
+     * @param {string} shopId - The shop's ID
+     * @param {Object} itemConfig - Item configuration from shop
+     * @param {Object} [config] - The shop's configuration
+     * @returns {boolean} True if the shop or the item opted in
+     */
+    static isDynamicPriced(shopId, itemConfig, config = getShopConfig(shopId)) {
+        if (!itemConfig) return false;
+        return !!(config.pricing.enabled || itemConfig.dynamicPrice);
+    }
+
+    /**
+     * Get which way an item's dynamic price has moved over the last hour
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object} itemConfig - Item configuration from shop
+     * @param {Object} [config] - The shop's configuration, read once by callers that ask about many items
+     * @returns {string|null} 'up', 'down' or null when steady
+     */
+    static getPriceTrend(shopId, itemUuid, itemConfig, config = getShopConfig(shopId)) {
+        if (!this.isDynamicPriced(shopId, itemConfig, config)) return null;
+
+        const now = Date.now();
+        const then = now - PRICE_TREND_WINDOW;
+
+        // Stock an hour ago: what is left plus what was bought since
+        let stockThen;
+        const stock = this.getAvailableStock(shopId, itemUuid, config);
+        if (stock !== null) {
+            const boughtSince = this._getRecentPurchases(shopId, itemUuid)
+                .filter(entry => entry.time > then)
+                .reduce((sum, entry) => sum + entry.quantity, 0);
+            stockThen = stock + boughtSince;
+        }
+
+        const current = this._getPriceMultiplier(shopId, itemUuid, itemConfig, now, config);
+        const previous = this._getPriceMultiplier(shopId, itemUuid, itemConfig, then, config, stockThen);
+        if (Math.abs(current - previous) < 0.005) return null;
+        return current > previous ? 'up' : 'down';
+    }
+
+    /**
+     * Compute the supply-and-demand multiplier applied to an item's base price
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object} itemConfig - Item configuration from shop
+     * @param {number} time - Moment to compute the multiplier for (ms)
+     * @param {Object} [config] - The shop's configuration
+     * @param {number} [stock] - Stock at that moment, defaults to the current stock
+     * @returns {number} Multiplier, clamped between the shop's floor and ceiling
+     */
+    static _getPriceMultiplier(shopId, itemUuid, itemConfig, time, config = getShopConfig(shopId),
+        stock = this.getAvailableStock(shopId, itemUuid, config)) {
+        const pricing = config.pricing;
+        let percent = 100;
+
+        // Scarcity: limited stock running out
+        const max = itemConfig.quantity || 0;
+        if (itemConfig.availability === AVAILABILITY_TYPES.LIMITED && max > 0 && stock !== null) {
+            const sold = 1 - Math.min(max, Math.max(0, stock)) / max;
+            percent += sold * pricing.stockSensitivity;
+        }
+
+        // Demand: recent purchases, fading with their age
+        const halfLife = Math.max(1, pricing.halfLife) * 3600000;
+        for (const entry of this._getRecentPurchases(shopId, itemUuid)) {
+            if (entry.time > time) continue;
+            percent += entry.quantity * pricing.demandSensitivity * Math.pow(0.5, (time - entry.time) / halfLife);
+        }
+
+        return Math.min(pricing.ceiling, Math.max(pricing.floor, percent)) / 100;
+    }
+
+    /**
+     * Get purchases of an item from the activity log
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object[]} Array of { time, quantity }
+     */
+    static _getRecentPurchases(shopId, itemUuid) {
+        return getItemActivityLog(shopId, itemUuid)
+            .filter(entry => entry.type === 'purchase')
+            .map(entry => ({ time: Date.parse(entry.timestamp), quantity: entry.quantity || 1 }));
+    }
+
+    /**
+     * Get the price an actor pays for an item, after haggling and discounts
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {Item} item - The Foundry item
+     * @param {Object} itemConfig - Item configuration from shop
+     * @param {string} [couponCode] - Coupon code entered by the player
+     * @returns {number} Price in gold
+     */
+    static getActorPrice(shopId, actorId, item, itemConfig, couponCode = null) {
+        return this.getPriceDetails(shopId, actorId, item, itemConfig, couponCode).price;
+    }
+
+    /**
+     * Work out an actor's price for an item step by step
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {Item} item - The Foundry item
+     * @param {Object} itemConfig - Item configuration from shop
+     * @param {string} [couponCode] - Coupon code entered by the player
+     * @param {Object} [config] - The shop's configuration, read once by callers that ask about many items
+     * @returns {Object} { marketPrice, price, haggled, discount }
+     */
+    static getPriceDetails(shopId, actorId, item, itemConfig, couponCode = null, config = getShopConfig(shopId)) {
+        const marketPrice = this.getMarketPrice(shopId, item, itemConfig, config);
+        const haggle = this.getActiveHaggle(shopId, actorId, item.uuid);
+        const discount = this.getBestDiscount(shopId, item, couponCode);
+
+        let copper = toCopper(haggle ? haggle.price : marketPrice);
+        if (discount) copper = Math.round(copper * (100 - discount.percent) / 100);
+
+        return {
+            marketPrice,
+            price: toGold(Math.max(0, copper)),
+            haggled: !!haggle,
+            discount
+        };
+    }
+
+    /**
+     * Check whether a discount can be used right now
+     * @param {Object} discount - The discount
+     * @param {number} [now] - Current time (ms)
+     * @returns {boolean} True if started, not expired and not used up
+     */
+    static isDiscountActive(discount, now = Date.now()) {
+        if (discount.start && Date.parse(discount.start) > now) return false;
+        if (discount.end && Date.parse(discount.end) <= now) return false;
+        return !(discount.maxUses > 0 && (discount.uses || 0) >= discount.maxUses);
+    }
+
+    /**
+     * Check whether a discount covers an item
+     * @param {Object} discount - The discount
+     * @param {Item} item - The Foundry item
+     * @returns {boolean} True if the item is targeted
+     */
+    static _discountMatches(discount, item) {
+        switch (discount.target) {
+            case DISCOUNT_TARGETS.ITEM: return discount.value === item.uuid;
+            case DISCOUNT_TARGETS.CATEGORY:
+                return discount.value === item.pack ||
+                    [item.folder, ...(item.folder?.ancestors ?? [])].some(folder => folder?.id === discount.value);
+            case DISCOUNT_TARGETS.TYPE: return discount.value === item.type;
+            default: return true;
+        }
+    }
+
+    /**
+     * Find an active coupon by its code
+     * @param {string} shopId - The shop's ID
+     * @param {string} code - Code entered by the player
+     * @returns {Object|null} The coupon or null
+     */
+    static findCoupon(shopId, code) {
+        const normalized = code?.trim().toUpperCase();
+        if (!normalized) return null;
+        return getDiscounts(shopId).find(d =>
+            d.code?.toUpperCase() === normalized && this.isDiscountActive(d)
+        ) || null;
+    }
+
+    /**
+     * Get the biggest discount on an item: running sales, plus the coupon if one was entered.
+     * Discounts don't stack.
+     * @param {string} shopId - The shop's ID
+     * @param {Item} item - The Foundry item
+     * @param {string} [couponCode] - Coupon code entered by the player
+     * @returns {Object|null} The discount or null
+     */
+    static getBestDiscount(shopId, item, couponCode = null) {
+        const coupon = this.findCoupon(shopId, couponCode);
+        return getDiscounts(shopId)
+            .filter(d => (!d.code || d.id === coupon?.id) && this.isDiscountActive(d) && this._discountMatches(d, item))
+            .reduce((best, d) => (!best || d.percent > best.percent) ? d : best, null);
+    }
+
+    /**
+     * Get an actor's haggled price for an item, if not used yet
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object|null} The haggle record or null
+     */
+    static getActiveHaggle(shopId, actorId, itemUuid) {
+        const haggle = getHaggle(shopId, actorId, itemUuid);
+        if (!haggle || haggle.price === null || haggle.price === undefined) return null;
+        return haggle.session === getSession().number ? haggle : null;
+    }
+
+    /**
+     * Get how many haggle attempts an actor has left on an item this session
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {number} Attempts left
+     */
+    static getHaggleAttemptsLeft(shopId, actorId, itemUuid) {
+        const haggle = getHaggle(shopId, actorId, itemUuid);
+        const used = haggle?.session === getSession().number ? haggle.attempts : 0;
+        return Math.max(0, getHaggleAttempts() - used);
+    }
+
+    /**
+     * Roll a haggle check and record the price it earns on the actor's next purchase of the item.
+     * The roll happens here on the GM, so players cannot report their own total.
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {string} skill - dnd5e skill id to roll
+     * @returns {Object} Result with success status, message and haggled price
+     */
+    static async haggle(shopId, actorId, itemUuid, skill) {
+        if (!isHaggleEnabled()) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.HaggleDisabled') };
+        }
+
+        const actor = game.actors.get(actorId);
+        if (!actor) {
+            return { success: false, message: 'Actor not found' };
+        }
+
+        const shop = getShop(shopId);
+        if (!shop) {
+            return { success: false, message: 'Shop not found' };
+        }
+        if (!isShopOpen(shopId)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed') };
+        }
+
+        const item = await fromUuid(itemUuid);
+        const itemConfig = this.getItemConfig(shopId, itemUuid);
+        if (!item || !itemConfig || [AVAILABILITY_TYPES.RESERVATION, AVAILABILITY_TYPES.AUCTION].includes(itemConfig.availability)) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        if (!getHaggleSkills().includes(skill)) {
+            return { success: false, message: 'Skill not allowed' };
+        }
+
+        if (this.getHaggleAttemptsLeft(shopId, actorId, itemUuid) <= 0) {
+            return {
+                success: false,
+                message: game.i18n.format('ARENA_MARKET.Notifications.HaggleNoAttempts', { item: item.name })
+            };
+        }
+
+        const rolls = await actor.rollSkill({ skill }, { configure: false });
+        const roll = Array.isArray(rolls) ? rolls[0] : rolls;
+        if (!roll) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.RequestFailed') };
+        }
+        const total = roll.total;
+
+        // The highest DC reached sets the price change
+        const modifier = getHaggleTable().find(row => total >= row.dc)?.modifier ?? 0;
+        const basePrice = this.getMarketPrice(shopId, item, itemConfig);
+        const price = toGold(Math.max(0, Math.round(toCopper(basePrice) * (100 + modifier) / 100)));
+
+        const session = getSession().number;
+        const previous = getHaggle(shopId, actorId, itemUuid);
+        await setHaggle(shopId, actorId, itemUuid, {
+            session,
+            attempts: (previous?.session === session ? previous.attempts : 0) + 1,
+            skill,
+            total,
+            modifier,
+            price
+        });
+
+        const currency = getCurrencyName();
+        await addActivityLog({
+            type: 'haggle',
+            shopId,
+            shopName: shop.name,
+            actorId: actor.id,
+            actorName: actor.name,
+            playerName: this.getOwnerName(actor),
+            itemUuid,
+            itemName: item.name,
+            skill,
+            roll: total,
+            modifier,
+            basePrice,
+            price,
+            currency
+        });
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.HaggleResult', {
+                item: item.name,
+                total,
+                price,
+                currency
+            }),
+            price
+        };
     }
 
     /**
      * Get available stock for an item
+     * @param {string} shopId - The shop's ID
      * @param {string} itemUuid - The item's UUID
+     * @param {Object} [config] - The shop's configuration, read once by callers that ask about many items
      * @returns {number|null} Available stock, null for unlimited
      */
-    static getAvailableStock(itemUuid) {
-        const config = getShopConfig();
+    static getAvailableStock(shopId, itemUuid, config = getShopConfig(shopId)) {
         const itemConfig = config.items?.[itemUuid];
 
         if (!itemConfig) return null;
@@ -50,94 +422,267 @@ export class MarketStore {
     }
 
     /**
-     * Check if player can afford item
+     * Get how many more units of an item an actor may buy under the item's purchase limits
+     * @param {string} shopId - The shop's ID
+     * @param {Actor} actor - The buying actor
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object} itemConfig - Item configuration from shop
+     * @returns {Object|null} { remaining, limit } of the tightest limit, or null if the item has no limits
+     */
+    static getPurchaseAllowance(shopId, actor, itemUuid, itemConfig) {
+        const limits = itemConfig?.limits;
+        if (!actor || !limits) return null;
+
+        const counts = getPurchaseCounts(shopId, itemUuid);
+        const ownerId = this.getOwnerId(actor);
+        const session = counts.sessions[actor.id];
+        const candidates = [
+            { limit: limits.actor, used: counts.actors[actor.id] || 0 },
+            { limit: ownerId ? limits.user : null, used: counts.users[ownerId] || 0 },
+            { limit: limits.session, used: session?.session === getSession().number ? session.count : 0 }
+        ].filter(c => Number.isInteger(c.limit) && c.limit > 0);
+        if (candidates.length === 0) return null;
+
+        return candidates
+            .map(c => ({ remaining: Math.max(0, c.limit - c.used), limit: c.limit }))
+            .reduce((tightest, c) => c.remaining < tightest.remaining ? c : tightest);
+    }
+
+    /**
+     * Check if player can afford item, counting every denomination in the wallet
      * @param {Actor} actor - The player's actor
      * @param {number} price - Item price in gold
      * @returns {boolean} True if can afford
      */
     static canAfford(actor, price) {
-        const gold = actor.system?.currency?.gp || 0;
-        return gold >= price;
+        return getWalletCopper(actor) >= toCopper(price);
     }
 
     /**
      * Purchase an item
+     * @param {string} shopId - The shop's ID
      * @param {string} actorId - The actor's ID
      * @param {string} itemUuid - The item's UUID
+     * @param {number} [quantity=1] - Number of units to buy
+     * @param {string} [couponCode] - Coupon code entered by the player
+     * @param {boolean} [useTreasury=false] - Pay from the party fund
+     * @param {string} [recipientId] - Actor receiving the item as a gift
      * @returns {Object} Result with success status and message
      */
-    static async purchaseItem(actorId, itemUuid) {
+    static async purchaseItem(shopId, actorId, itemUuid, quantity = 1, couponCode = null, useTreasury = false, recipientId = null) {
+        const result = await this.checkout(shopId, actorId, [{ uuid: itemUuid, quantity }], { couponCode, useTreasury, recipientId });
+        if (!result.success) return result;
+
+        const line = result.receipt.lines[0];
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.PurchaseSuccess', {
+                item: line.quantity > 1 ? `${line.name} ×${line.quantity}` : line.name,
+                price: line.price,
+                currency: result.receipt.currency
+            }),
+            newStock: result.stockChanges[itemUuid] ?? null,
+            receipt: result.receipt
+        };
+    }
+
+    /**
+     * Purchase several items as a single transaction.
+     * Either every item is granted and stock is decremented, or nothing changes.
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {Array<{uuid: string, quantity: number}>} cart - Items and units to buy
+     * @param {Object} [options]
+     * @param {boolean} [options.fulfilReservation=false] - Allow reservation items (GM converting a reservation)
+     * @param {string} [options.couponCode] - Coupon code entered by the player
+     * @param {boolean} [options.useTreasury=false] - Pay from the party fund instead of the actor's wallet
+     * @param {string} [options.recipientId] - Actor receiving the items as a gift; the buying actor still pays
+     * @param {number} [options.auctionPrice] - Winning bid of an auction item, paid instead of the shop price
+     * @returns {Object} Result with success status, message, receipt and stock changes
+     */
+    static async checkout(shopId, actorId, cart, { fulfilReservation = false, couponCode = null, useTreasury = false, recipientId = null, auctionPrice = null } = {}) {
         const actor = game.actors.get(actorId);
         if (!actor) {
             return { success: false, message: 'Actor not found' };
         }
 
-        const item = await fromUuid(itemUuid);
-        if (!item) {
-            return { success: false, message: 'Item not found' };
+        const recipient = recipientId ? game.actors.get(recipientId) : actor;
+        if (!recipient) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Gift.RecipientNotFound') };
         }
+        // Gifts only go to the characters offered in the shop, never to any actor of the world
+        if (recipient.id !== actor.id && !this.getGiftRecipients(actor).some(a => a.id === recipient.id)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Gift.RecipientNotAllowed') };
+        }
+        const isGift = recipient.id !== actor.id;
 
-        const config = getShopConfig();
-        const itemConfig = config.items?.[itemUuid];
+        const shop = getShop(shopId);
+        if (!shop) {
+            return { success: false, message: 'Shop not found' };
+        }
+        // Reservations handed out by the GM and won auctions settle even while the shop is closed
+        if (!fulfilReservation && auctionPrice === null && !isShopOpen(shopId)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed') };
+        }
 
-        if (!itemConfig) {
-            return { success: false, message: 'Item not configured in shop' };
+        // Merge repeated items into a single line
+        const demand = {};
+        for (const { uuid, quantity } of cart || []) {
+            const units = Math.max(1, parseInt(quantity) || 1);
+            demand[uuid] = (demand[uuid] || 0) + units;
         }
+        if (Object.keys(demand).length === 0) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.CartEmpty') };
+        }
+
+        const config = getShopConfig(shopId);
+        const currency = getCurrencyName();
+
+        // Validate every line before touching anything
+        const lines = [];
+        for (const [itemUuid, quantity] of Object.entries(demand)) {
+            const item = await fromUuid(itemUuid);
+            if (!item) {
+                return { success: false, message: 'Item not found' };
+            }
+
+            const itemConfig = config.items?.[itemUuid];
+            if (!itemConfig) {
+                return { success: false, message: 'Item not configured in shop' };
+            }
+            if (itemConfig.availability === AVAILABILITY_TYPES.RESERVATION && !fulfilReservation) {
+                return { success: false, message: 'Item is only available for reservation' };
+            }
+            if (itemConfig.availability === AVAILABILITY_TYPES.AUCTION && auctionPrice === null) {
+                return { success: false, message: game.i18n.localize('ARENA_MARKET.Auction.OnlyByBid') };
+            }
 
-        // Check stock for limited items
-        if (itemConfig.availability === AVAILABILITY_TYPES.LIMITED) {
-            if ((itemConfig.currentStock ?? itemConfig.quantity) <= 0) {
+            // Check stock for limited and reservation items
+            if (this._tracksStock(itemConfig) &&
+                quantity > (itemConfig.currentStock ?? itemConfig.quantity)) {
                 return {
                     success: false,
-                    message: game.i18n.localize('ARENA_MARKET.Notifications.ItemSoldOut')
+                    message: game.i18n.format('ARENA_MARKET.Notifications.NotEnoughStock', { item: item.name })
+                };
+            }
+
+            // Check per-actor, per-player and per-session limits
+            const allowance = fulfilReservation || auctionPrice !== null ? null :
+                this.getPurchaseAllowance(shopId, actor, itemUuid, itemConfig);
+            if (allowance && quantity > allowance.remaining) {
+                return {
+                    success: false,
+                    message: game.i18n.format('ARENA_MARKET.Notifications.PurchaseLimitReached', {
+                        item: item.name,
+                        remaining: allowance.remaining,
+                        limit: allowance.limit
+                    })
                 };
             }
-        }
 
-        // Get price
-        const price = this.getItemPrice(item, itemConfig);
+            const { price: unitPrice, haggled, discount } = auctionPrice !== null ?
+                { price: auctionPrice, haggled: false, discount: null } :
+                this.getPriceDetails(shopId, actorId, item, itemConfig, couponCode);
+            lines.push({ item, itemUuid, itemConfig, quantity, unitPrice, haggled, discount, price: toGold(toCopper(unitPrice) * quantity) });
+        }
 
-        // Check if can afford
-        if (!this.canAfford(actor, price)) {
+        // Check if the payer can afford the whole cart
+        const total = toGold(lines.reduce((sum, line) => sum + toCopper(line.price), 0));
+        const payer = useTreasury ? Treasury.getActor() : actor;
+        if (useTreasury) {
+            const check = Treasury.checkSpend(actor, total);
+            if (!check.success) return check;
+        } else if (!this.canAfford(actor, total)) {
             return {
                 success: false,
-                message: game.i18n.format('ARENA_MARKET.Notifications.NotEnoughGold', {
-                    currency: getCurrencyName()
-                })
+                message: game.i18n.format('ARENA_MARKET.Notifications.NotEnoughGold', { currency })
             };
         }
 
-        // Deduct gold
-        const currentGold = actor.system.currency.gp;
-        await actor.update({
-            'system.currency.gp': currentGold - price
-        });
+        // Pay line by line, so a refund can return the exact coins of each line
+        const previousCurrency = getCurrency(payer);
+        let newCurrency = previousCurrency;
+        for (const line of lines) {
+            const after = pay(newCurrency, toCopper(line.price));
+            line.currencyDelta = Object.fromEntries(Object.keys(after).map(key => [key, (newCurrency[key] || 0) - after[key]]));
+            newCurrency = after;
+        }
 
-        // Add item to actor's inventory
-        const itemData = item.toObject();
-        delete itemData._id;
-        await actor.createEmbeddedDocuments('Item', [itemData]);
+        // Apply the transaction, rolling back on failure
+        const grants = { created: [], stacked: [] };
+        const stockChanges = {};
+        try {
+            await payer.update({
+                'system.currency': newCurrency
+            });
+
+            await this._grantItems(recipient, lines, grants);
 
-        // Update stock for limited items
-        if (itemConfig.availability === AVAILABILITY_TYPES.LIMITED) {
-            const newStock = (itemConfig.currentStock ?? itemConfig.quantity) - 1;
-            config.items[itemUuid].currentStock = newStock;
-            await setShopConfig(config);
+            for (const line of lines) {
+                if (!this._tracksStock(line.itemConfig)) continue;
+                line.itemConfig.currentStock = (line.itemConfig.currentStock ?? line.itemConfig.quantity) - line.quantity;
+                stockChanges[line.itemUuid] = line.itemConfig.currentStock;
+            }
+            if (Object.keys(stockChanges).length > 0) {
+                await setItemStock(shopId, stockChanges);
+            }
+        } catch (err) {
+            console.error(`${MODULE_ID} | Checkout failed, rolling back:`, err);
+            await this._rollbackCheckout(recipient, previousCurrency, grants, payer);
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.CheckoutFailed') };
         }
 
-        // Log activity
-        await addActivityLog({
+        // Count the gold towards the member's party fund cap
+        if (useTreasury) {
+            await Treasury.recordSpending(actor.id, total);
+        }
+
+        // Count the units towards purchase limits
+        await addPurchaseCounts(shopId, actor.id, this.getOwnerId(actor),
+            Object.fromEntries(lines.map(line => [line.itemUuid, line.quantity])));
+
+        // Count one use of each discount applied
+        const discountIds = [...new Set(lines.filter(line => line.discount).map(line => line.discount.id))];
+        if (discountIds.length > 0) {
+            await useDiscounts(shopId, discountIds);
+        }
+
+        // A haggled price only covers one purchase
+        for (const line of lines) {
+            if (!line.haggled) continue;
+            await setHaggle(shopId, actorId, line.itemUuid, { ...getHaggle(shopId, actorId, line.itemUuid), price: null });
+        }
+
+        // Log activity, with what a refund needs to undo each line
+        const playerName = this.getOwnerName(actor);
+        const transactionId = foundry.utils.randomID();
+        await addActivityLogEntries(lines.map(line => ({
             type: 'purchase',
+            shopId,
+            shopName: shop.name,
             actorId: actor.id,
             actorName: actor.name,
-            playerName: game.users.get(actor.ownership ?
-                Object.keys(actor.ownership).find(id => actor.ownership[id] === 3 && id !== 'default') :
-                null)?.name || 'Unknown',
-            itemUuid,
-            itemName: item.name,
-            price,
-            currency: getCurrencyName()
-        });
+            playerName,
+            itemUuid: line.itemUuid,
+            itemName: line.item.name,
+            quantity: line.quantity,
+            price: line.price,
+            currency,
+            haggled: line.haggled,
+            discount: line.discount?.name ?? null,
+            discountPercent: line.discount?.percent ?? null,
+            fromReservation: fulfilReservation,
+            fromAuction: auctionPrice !== null,
+            paidFromTreasury: useTreasury,
+            payerId: payer.id,
+            payerName: payer.name,
+            recipientId: isGift ? recipient.id : null,
+            recipientName: isGift ? recipient.name : null,
+            transactionId,
+            currencyDelta: line.currencyDelta,
+            granted: line.granted,
+            stockTaken: this._tracksStock(line.itemConfig) ? line.quantity : 0
+        })));
 
         // Play purchase sound effect
         AudioHelper.play({
@@ -149,60 +694,287 @@ export class MarketStore {
 
         return {
             success: true,
-            message: game.i18n.format('ARENA_MARKET.Notifications.PurchaseSuccess', {
-                item: item.name,
-                price,
-                currency: getCurrencyName()
+            message: game.i18n.format('ARENA_MARKET.Notifications.CheckoutSuccess', {
+                count: lines.reduce((sum, line) => sum + line.quantity, 0),
+                total,
+                currency
             }),
-            newStock: itemConfig.availability === AVAILABILITY_TYPES.LIMITED ?
-                config.items[itemUuid].currentStock : null
+            receipt: {
+                shopName: shop.name,
+                actorName: actor.name,
+                lines: lines.map(line => ({
+                    name: line.item.name,
+                    img: line.item.img,
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice,
+                    price: line.price,
+                    discount: line.discount ? `${line.discount.name} -${line.discount.percent}%` : null
+                })),
+                total,
+                currency,
+                payerName: useTreasury ? payer.name : null,
+                recipientName: isGift ? recipient.name : null,
+                remainingGold: toGold(getCurrencyValue(newCurrency))
+            },
+            stockChanges,
+            gift: isGift ? { recipientId: recipient.id, recipientName: recipient.name } : null
         };
     }
 
     /**
-     * Reserve an item
-     * @param {string} actorId - The actor's ID  
-     * @param {string} itemUuid - The item's UUID
-     * @returns {Object} Result with success status and message
+     * Check whether an item's stock is counted down on purchase
+     * @param {Object} itemConfig - Item configuration from shop
+     * @returns {boolean} True for limited and reservation items
      */
-    static async reserveItem(actorId, itemUuid) {
-        const actor = game.actors.get(actorId);
-        if (!actor) {
-            return { success: false, message: 'Actor not found' };
-        }
+    static _tracksStock(itemConfig) {
+        return itemConfig.availability === AVAILABILITY_TYPES.LIMITED ||
+            itemConfig.availability === AVAILABILITY_TYPES.RESERVATION;
+    }
 
-        const item = await fromUuid(itemUuid);
-        if (!item) {
-            return { success: false, message: 'Item not found' };
-        }
+    /**
+     * Add purchased items to an actor, stacking onto matching items already owned
+     * @param {Actor} actor - The receiving actor (the buyer, or the gift recipient)
+     * @param {Object[]} lines - Checkout lines ({ item, itemUuid, quantity }); each one gets
+     *                           `granted` ({ created: ids, stacked: [{ _id, quantity }] }) for refunds
+     * @param {Object} grants - Filled with created item IDs and stacked items' previous quantities
+     */
+    static async _grantItems(actor, lines, grants) {
+        const toCreate = [];
+        const createdFor = [];  // Line of each entry in toCreate
+        const toUpdate = [];
 
-        const config = getShopConfig();
-        const itemConfig = config.items?.[itemUuid];
+        for (const line of lines) {
+            line.granted = { created: [], stacked: [] };
+            const unitsPerPurchase = line.item.system?.quantity ?? 1;
+            const existing = this._findStack(actor, line.item, line.itemUuid);
 
-        if (!itemConfig || itemConfig.availability !== AVAILABILITY_TYPES.RESERVATION) {
-            return { success: false, message: 'Item is not available for reservation' };
-        }
+            if (existing) {
+                const previous = existing.system.quantity;
+                const added = unitsPerPurchase * line.quantity;
+                toUpdate.push({ _id: existing.id, 'system.quantity': previous + added });
+                grants.stacked.push({ _id: existing.id, 'system.quantity': previous });
+                line.granted.stacked.push({ _id: existing.id, quantity: added });
+                continue;
+            }
 
-        // Check if already reserved by this actor
-        const reservations = getReservations();
-        const existing = reservations[itemUuid]?.find(r => r.actorId === actorId);
-        if (existing) {
-            return { success: false, message: 'Hai già prenotato questo oggetto!' };
+            const itemData = this._buildItemData(line.item, line.itemUuid);
+            if (itemData.system?.quantity !== undefined) {
+                itemData.system.quantity = unitsPerPurchase * line.quantity;
+                toCreate.push(itemData);
+                createdFor.push(line);
+            } else {
+                // Not stackable: one copy per unit
+                for (let i = 0; i < line.quantity; i++) {
+                    toCreate.push(foundry.utils.deepClone(itemData));
+                    createdFor.push(line);
+                }
+            }
         }
 
-        // Get player name
-        const playerName = game.users.get(
-            Object.keys(actor.ownership || {}).find(id =>
-                actor.ownership[id] === 3 && id !== 'default'
-            )
-        )?.name || 'Unknown';
+        if (toUpdate.length > 0) {
+            await actor.updateEmbeddedDocuments('Item', toUpdate);
+        }
+        if (toCreate.length > 0) {
+            const created = await actor.createEmbeddedDocuments('Item', toCreate);
+            grants.created.push(...created.map(item => item.id));
+            created.forEach((item, index) => createdFor[index].granted.created.push(item.id));
+        }
+    }
 
-        // Add reservation
-        await addReservation(itemUuid, actorId, actor.name, playerName);
+    /**
+     * Find an owned item that a purchase can stack onto
+     * @param {Actor} actor - The receiving actor
+     * @param {Item} item - The shop item
+     * @param {string} itemUuid - The shop item's UUID
+     * @returns {Item|undefined} Matching stackable item
+     */
+    static _findStack(actor, item, itemUuid) {
+        if (item.system?.quantity === undefined) return undefined;
+        return actor.items.find(owned => {
+            if (owned.system?.quantity === undefined) return false;
+            const source = owned.getFlag(MODULE_ID, 'sourceUuid') ?? owned._stats?.compendiumSource;
+            if (source) return source === itemUuid;
+            return owned.name === item.name && owned.type === item.type;
+        });
+    }
 
-        // Log activity
+    /**
+     * Build embedded item data for a shop item, remembering where it came from for sell-back
+     * @param {Item} item - The shop item
+     * @param {string} itemUuid - The shop item's UUID
+     * @returns {Object} Item data ready for createEmbeddedDocuments
+     */
+    static _buildItemData(item, itemUuid) {
+        const itemData = item.toObject();
+        delete itemData._id;
+        foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.sourceUuid`, itemUuid);
+        // Units in one purchase, so a sale takes back the same amount
+        foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.bundleSize`, Math.max(1, item.system?.quantity ?? 1));
+        return itemData;
+    }
+
+    /**
+     * Undo the partial effects of a failed checkout
+     * @param {Actor} actor - The buying actor
+     * @param {Object} previousCurrency - Coins held before the checkout started
+     * @param {Object} grants - Items created and stacked so far
+     */
+    static async _rollbackCheckout(actor, previousCurrency, grants, payer = actor) {
+        try {
+            if (grants.created.length > 0) {
+                await actor.deleteEmbeddedDocuments('Item', grants.created);
+            }
+            if (grants.stacked.length > 0) {
+                await actor.updateEmbeddedDocuments('Item', grants.stacked);
+            }
+            await payer.update({ 'system.currency': previousCurrency });
+        } catch (err) {
+            console.error(`${MODULE_ID} | Checkout rollback failed:`, err);
+        }
+    }
+
+    /**
+     * Undo a purchase from the activity log: take back what was granted, return the money
+     * and the stock, then mark the entry refunded (GM only).
+     * Each line gets back the exact coins paid for it; when the payer no longer has the
+     * change they were given, or the entry predates per-line coins, the price comes back in gp/sp/cp.
+     * @param {string} entryId - ID of the purchase entry in the activity log
+     * @returns {Object} Result with success status, message and new stock
+     */
+    static async refundPurchase(entryId) {
+        const entry = getActivityLogEntry(entryId);
+        if (entry?.type !== 'purchase') {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.RefundNotFound') };
+        }
+        if (entry.refunded) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.AlreadyRefunded') };
+        }
+
+        const actor = game.actors.get(entry.actorId);
+        if (!actor) {
+            return { success: false, message: 'Actor not found' };
+        }
+
+        // Take back the granted items that still exist, from the gift recipient if there was one
+        const holder = game.actors.get(entry.recipientId) ?? actor;
+        const granted = entry.granted ?? { created: [], stacked: [] };
+        const toDelete = granted.created.filter(id => holder.items.has(id));
+        const toUpdate = [];
+        for (const { _id, quantity } of granted.stacked) {
+            const owned = holder.items.get(_id);
+            if (!owned) continue;
+            const remaining = (owned.system?.quantity ?? 0) - quantity;
+            if (remaining > 0) toUpdate.push({ _id, 'system.quantity': remaining });
+            else toDelete.push(_id);
+        }
+        if (toUpdate.length > 0) {
+            await holder.updateEmbeddedDocuments('Item', toUpdate);
+        }
+        if (toDelete.length > 0) {
+            await holder.deleteEmbeddedDocuments('Item', toDelete);
+        }
+
+        // Give the money back to whoever paid: the actor or the party fund
+        const payer = game.actors.get(entry.payerId) ?? actor;
+        const currency = getCurrency(payer);
+        const exact = entry.currencyDelta ?
+            Object.fromEntries(Object.keys(currency).map(key => [key, currency[key] + (entry.currencyDelta[key] || 0)])) :
+            null;
+        const refunded = exact && Object.values(exact).every(amount => amount >= 0) ?
+            exact :
+            receive(currency, toCopper(entry.price));
+        await payer.update({ 'system.currency': refunded });
+        if (entry.paidFromTreasury) {
+            await Treasury.recordSpending(actor.id, -entry.price);
+        }
+
+        // Put the units back on the shelf
+        let newStock = null;
+        const config = getShopConfig(entry.shopId);
+        const itemConfig = config.items?.[entry.itemUuid];
+        if (itemConfig && entry.stockTaken > 0 && this._tracksStock(itemConfig)) {
+            itemConfig.currentStock = (itemConfig.currentStock ?? itemConfig.quantity) + entry.stockTaken;
+            newStock = itemConfig.currentStock;
+            await setItemStock(entry.shopId, { [entry.itemUuid]: newStock });
+        }
+
+        await addPurchaseCounts(entry.shopId, actor.id, this.getOwnerId(actor), { [entry.itemUuid]: -entry.quantity });
+
+        const refund = await addActivityLog({
+            type: 'refund',
+            shopId: entry.shopId,
+            shopName: entry.shopName,
+            actorId: actor.id,
+            actorName: actor.name,
+            playerName: entry.playerName,
+            itemUuid: entry.itemUuid,
+            itemName: entry.itemName,
+            quantity: entry.quantity,
+            price: entry.price,
+            currency: entry.currency,
+            refundOf: entry.id
+        });
+        await updateActivityLogEntry(entry.id, { refunded: true, refundId: refund.id });
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.RefundSuccess', {
+                item: entry.itemName,
+                actor: actor.name,
+                price: entry.price,
+                currency: entry.currency
+            }),
+            itemUuid: entry.itemUuid,
+            newStock
+        };
+    }
+
+    /**
+     * Reserve an item
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object} Result with success status and message
+     */
+    static async reserveItem(shopId, actorId, itemUuid) {
+        const actor = game.actors.get(actorId);
+        if (!actor) {
+            return { success: false, message: 'Actor not found' };
+        }
+        if (!isShopOpen(shopId)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed') };
+        }
+
+        const item = await fromUuid(itemUuid);
+        if (!item) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        const config = getShopConfig(shopId);
+        const itemConfig = config.items?.[itemUuid];
+
+        if (!itemConfig || itemConfig.availability !== AVAILABILITY_TYPES.RESERVATION) {
+            return { success: false, message: 'Item is not available for reservation' };
+        }
+
+        // Check if already reserved by this actor
+        const reservations = getReservations(shopId);
+        const existing = reservations[itemUuid]?.find(r => r.actorId === actorId);
+        if (existing) {
+            return { success: false, message: 'Hai già prenotato questo oggetto!' };
+        }
+
+        // Get player name
+        const playerName = this.getOwnerName(actor);
+
+        // Add reservation
+        await addReservation(shopId, itemUuid, actorId, actor.name, playerName);
+
+        // Log activity
         await addActivityLog({
             type: 'reservation',
+            shopId,
+            shopName: config.name,
             actorId: actor.id,
             actorName: actor.name,
             playerName,
@@ -218,19 +990,680 @@ export class MarketStore {
         };
     }
 
+    /**
+     * Cancel an actor's own reservation
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The reserving actor's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object} Result with success status and message
+     */
+    static async cancelReservation(shopId, actorId, itemUuid) {
+        const reservation = getReservations(shopId)[itemUuid]?.find(r => r.actorId === actorId);
+        if (!reservation) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ReservationNotFound') };
+        }
+
+        await removeReservation(shopId, itemUuid, actorId);
+        const itemName = await this._logReservationEvent('reservation-cancelled', shopId, itemUuid, reservation);
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.ReservationCancelled', { item: itemName })
+        };
+    }
+
+    /**
+     * Approve a reservation, keeping its place in the queue (GM only)
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {string} actorId - The reserving actor's ID
+     * @returns {Object} Result with success status and message
+     */
+    static async approveReservation(shopId, itemUuid, actorId) {
+        const reservation = getReservations(shopId)[itemUuid]?.find(r => r.actorId === actorId);
+        if (!reservation) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ReservationNotFound') };
+        }
+
+        await updateReservation(shopId, itemUuid, actorId, { status: RESERVATION_STATUS.APPROVED });
+        await this._logReservationEvent('reservation-approved', shopId, itemUuid, reservation);
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.ReservationApproved', { actor: reservation.actorName })
+        };
+    }
+
+    /**
+     * Reject a reservation, removing it from the queue (GM only)
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {string} actorId - The reserving actor's ID
+     * @returns {Object} Result with success status and message
+     */
+    static async rejectReservation(shopId, itemUuid, actorId) {
+        const reservation = getReservations(shopId)[itemUuid]?.find(r => r.actorId === actorId);
+        if (!reservation) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ReservationNotFound') };
+        }
+
+        await removeReservation(shopId, itemUuid, actorId);
+        await this._logReservationEvent('reservation-rejected', shopId, itemUuid, reservation);
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.ReservationRejected', { actor: reservation.actorName })
+        };
+    }
+
+    /**
+     * Convert a reservation into a purchase: charge the actor, grant the item
+     * and take one unit of the item's stock (GM only)
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {string} actorId - The reserving actor's ID
+     * @returns {Object} Result with success status, message and new stock
+     */
+    static async fulfilReservation(shopId, itemUuid, actorId) {
+        const reservation = getReservations(shopId)[itemUuid]?.find(r => r.actorId === actorId);
+        if (!reservation) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ReservationNotFound') };
+        }
+
+        const result = await this.checkout(shopId, actorId, [{ uuid: itemUuid, quantity: 1 }], { fulfilReservation: true });
+        if (!result.success) return result;
+
+        await removeReservation(shopId, itemUuid, actorId);
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.ReservationFulfilled', {
+                actor: reservation.actorName,
+                item: result.receipt.lines[0].name
+            }),
+            newStock: result.stockChanges[itemUuid] ?? null
+        };
+    }
+
+    /**
+     * Hand out a reservation item's stock to its queue, first come first served.
+     * Reservations that cannot be fulfilled (e.g. not enough gold) are skipped.
+     * Does nothing unless automatic assignment is enabled (GM only).
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object[]} Results of the fulfilled reservations
+     */
+    static async assignReservationStock(shopId, itemUuid) {
+        if (!isAutoAssignReservations()) return [];
+
+        const itemConfig = this.getItemConfig(shopId, itemUuid);
+        if (itemConfig?.availability !== AVAILABILITY_TYPES.RESERVATION) return [];
+
+        const fulfilled = [];
+        const queue = [...(getReservations(shopId)[itemUuid] || [])];
+        for (const reservation of queue) {
+            if ((this.getAvailableStock(shopId, itemUuid) ?? 0) <= 0) break;
+            const result = await this.fulfilReservation(shopId, itemUuid, reservation.actorId);
+            if (result.success) fulfilled.push(result);
+        }
+        return fulfilled;
+    }
+
+    /**
+     * Log a GM action on a reservation
+     * @param {string} type - Activity type
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object} reservation - The reservation entry
+     * @returns {string} The item's name
+     */
+    static async _logReservationEvent(type, shopId, itemUuid, reservation) {
+        const item = await fromUuid(itemUuid);
+        const itemName = item?.name ?? itemUuid;
+        await addActivityLog({
+            type,
+            shopId,
+            shopName: getShop(shopId)?.name,
+            actorId: reservation.actorId,
+            actorName: reservation.actorName,
+            playerName: reservation.playerName,
+            itemUuid,
+            itemName
+        });
+        return itemName;
+    }
+
+    /**
+     * Get the current state of an item's auction.
+     * Setting a new end time after an auction closed starts a new one.
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {Object} [config] - The shop's configuration, read once by callers that ask about many items
+     * @returns {Object|null} Auction settings, bids (oldest first), top bid, next minimum bid
+     *                        and whether bidding is open; null if the item is not auctioned
+     */
+    static getAuction(shopId, itemUuid, config = getShopConfig(shopId)) {
+        const itemConfig = config.items?.[itemUuid];
+        if (itemConfig?.availability !== AVAILABILITY_TYPES.AUCTION) return null;
+
+        const settings = { ...DEFAULT_AUCTION, ...itemConfig.auction };
+        let record = getAuctions(shopId)[itemUuid] ?? null;
+        if (record?.closed && record.scheduledEnd !== settings.endsAt) record = null;
+
+        // Anti-snipe extensions only last until the GM sets another end time
+        const endsAt = record && record.scheduledEnd === settings.endsAt ? record.endsAt : settings.endsAt;
+        const bids = record?.bids ?? [];
+        const topBid = bids.at(-1) ?? null;
+        const closed = !!record?.closed;
+        return {
+            ...settings,
+            endsAt,
+            bids,
+            topBid,
+            closed,
+            winner: record?.winner ?? null,
+            minimumBid: topBid ? toGold(toCopper(topBid.amount) + toCopper(settings.increment)) : settings.startingBid,
+            open: !closed && !!endsAt && Date.now() < endsAt
+        };
+    }
+
+    /**
+     * Describe where an auction stands
+     * @param {Object} auction - Auction state from getAuction
+     * @returns {string} Localized status
+     */
+    static getAuctionStatus(auction) {
+        if (auction.closed) {
+            return auction.winner ?
+                game.i18n.format('ARENA_MARKET.Auction.WonBy', {
+                    actor: auction.winner.actorName,
+                    amount: auction.winner.amount,
+                    currency: getCurrencyName()
+                }) :
+                game.i18n.localize('ARENA_MARKET.Auction.ClosedNoWinner');
+        }
+        if (!auction.endsAt) return game.i18n.localize('ARENA_MARKET.Auction.NotScheduled');
+        return game.i18n.localize(auction.open ? 'ARENA_MARKET.Auction.Open' : 'ARENA_MARKET.Auction.Closing');
+    }
+
+    /**
+     * Get how much an actor has bid on the auctions it is currently winning
+     * @param {string} actorId - The actor's ID
+     * @param {string} [exceptUuid] - Auction item to leave out
+     * @returns {number} Amount in copper pieces
+     */
+    static _getCommittedBids(actorId, exceptUuid = null) {
+        let committed = 0;
+        for (const shopId of Object.keys(getShops())) {
+            const config = getShopConfig(shopId);
+            for (const itemUuid of Object.keys(getAuctions(shopId))) {
+                if (itemUuid === exceptUuid) continue;
+                const auction = this.getAuction(shopId, itemUuid, config);
+                if (auction && !auction.closed && auction.topBid?.actorId === actorId) {
+                    committed += toCopper(auction.topBid.amount);
+                }
+            }
+        }
+        return committed;
+    }
+
+    /**
+     * Bid on an auction item. The actor must be able to pay this bid on top of
+     * the auctions it is already winning. A bid in the last minutes extends the
+     * auction when anti-snipe is on.
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The bidding actor's ID
+     * @param {string} itemUuid - The item's UUID
+     * @param {number} amount - Bid in gold
+     * @returns {Object} Result with success status, message, the new top bid, the outbid actor and whether the auction was extended
+     */
+    static async placeBid(shopId, actorId, itemUuid, amount) {
+        const actor = game.actors.get(actorId);
+        if (!actor) {
+            return { success: false, message: 'Actor not found' };
+        }
+        if (!isShopOpen(shopId)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed') };
+        }
+
+        const auction = this.getAuction(shopId, itemUuid);
+        const item = await fromUuid(itemUuid);
+        if (!auction || !item) {
+            return { success: false, message: 'Item not found' };
+        }
+        if (!auction.open) {
+            return { success: false, message: game.i18n.format('ARENA_MARKET.Auction.NotOpen', { item: item.name }) };
+        }
+
+        const bid = toGold(toCopper(amount));
+        if (!(bid >= auction.minimumBid)) {
+            return {
+                success: false,
+                message: game.i18n.format('ARENA_MARKET.Auction.BidTooLow', { minimum: auction.minimumBid, currency: getCurrencyName() })
+            };
+        }
+        if (auction.topBid?.actorId === actorId) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Auction.AlreadyWinning') };
+        }
+        if (getWalletCopper(actor) < toCopper(bid) + this._getCommittedBids(actorId, itemUuid)) {
+            return { success: false, message: game.i18n.format('ARENA_MARKET.Auction.NotEnoughFunds', { actor: actor.name }) };
+        }
+
+        // Anti-snipe: a late bid pushes the end back to give the others time to answer
+        const now = Date.now();
+        const extension = (auction.antiSnipe || 0) * 60000;
+        const extended = extension > 0 && auction.endsAt - now < extension;
+        const endsAt = extended ? now + extension : auction.endsAt;
+
+        const entry = {
+            actorId,
+            actorName: actor.name,
+            playerName: this.getOwnerName(actor),
+            amount: bid,
+            timestamp: new Date(now).toISOString()
+        };
+        const itemConfig = this.getItemConfig(shopId, itemUuid);
+        await setAuction(shopId, itemUuid, {
+            scheduledEnd: itemConfig.auction?.endsAt ?? null,
+            endsAt,
+            bids: [...auction.bids, entry],
+            closed: false,
+            winner: null
+        });
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Auction.BidPlaced', { item: item.name, amount: bid, currency: getCurrencyName() }) +
+                (extended ? ` ${game.i18n.localize('ARENA_MARKET.Auction.Extended')}` : ''),
+            bid: entry,
+            itemName: item.name,
+            outbidActorId: auction.topBid?.actorId ?? null,
+            endsAt,
+            extended
+        };
+    }
+
+    /**
+     * Close an auction: charge the highest bidder who can still pay, grant the item
+     * and log the whole bid history (GM only)
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Object} Result with success status, message, winner and item name
+     */
+    static async closeAuction(shopId, itemUuid) {
+        const auction = this.getAuction(shopId, itemUuid);
+        const item = await fromUuid(itemUuid);
+        if (!auction || !item) {
+            return { success: false, message: 'Item not found' };
+        }
+        if (auction.closed) {
+            return { success: false, message: game.i18n.format('ARENA_MARKET.Auction.AlreadyClosed', { item: item.name }) };
+        }
+
+        // Highest bid first; a bidder who can no longer pay loses to the next one
+        let winner = null;
+        const tried = new Set();
+        for (const bid of [...auction.bids].reverse()) {
+            if (tried.has(bid.actorId)) continue;
+            tried.add(bid.actorId);
+            const result = await this.checkout(shopId, bid.actorId, [{ uuid: itemUuid, quantity: 1 }], { auctionPrice: bid.amount });
+            if (result.success) {
+                winner = bid;
+                break;
+            }
+        }
+
+        const itemConfig = this.getItemConfig(shopId, itemUuid);
+        await setAuction(shopId, itemUuid, {
+            scheduledEnd: itemConfig.auction?.endsAt ?? null,
+            endsAt: auction.endsAt,
+            bids: auction.bids,
+            closed: true,
+            winner
+        });
+
+        await addActivityLog({
+            type: 'auction',
+            shopId,
+            shopName: getShop(shopId)?.name,
+            actorId: winner?.actorId ?? null,
+            actorName: winner?.actorName ?? null,
+            playerName: winner?.playerName ?? null,
+            itemUuid,
+            itemName: item.name,
+            price: winner?.amount ?? null,
+            currency: getCurrencyName(),
+            bids: auction.bids
+        });
+
+        return {
+            success: true,
+            message: winner ?
+                game.i18n.format('ARENA_MARKET.Auction.Won', {
+                    actor: winner.actorName,
+                    item: item.name,
+                    amount: winner.amount,
+                    currency: getCurrencyName()
+                }) :
+                game.i18n.format('ARENA_MARKET.Auction.NoWinner', { item: item.name }),
+            winner,
+            itemName: item.name
+        };
+    }
+
+    /**
+     * Close every auction whose end time has passed (GM only)
+     * @returns {Object[]} Results of the closed auctions, with shopId and itemUuid
+     */
+    static async closeExpiredAuctions() {
+        const closed = [];
+        const now = Date.now();
+        for (const [shopId, shop] of Object.entries(getShops())) {
+            for (const [itemUuid, itemConfig] of Object.entries(shop.items || {})) {
+                if (itemConfig.availability !== AVAILABILITY_TYPES.AUCTION) continue;
+                const auction = this.getAuction(shopId, itemUuid);
+                if (!auction || auction.closed || !auction.endsAt || now < auction.endsAt) continue;
+                const result = await this.closeAuction(shopId, itemUuid);
+                if (result.success) closed.push({ ...result, shopId, itemUuid });
+            }
+        }
+        return closed;
+    }
+
+    /**
+     * Find the shop entry an owned item was bought from
+     * @param {string} shopId - The shop's ID
+     * @param {Item} ownedItem - Item embedded in an actor
+     * @returns {string|null} Shop item UUID or null if the item is not stocked
+     */
+    static getShopSourceUuid(shopId, ownedItem) {
+        const config = getShopConfig(shopId);
+        const candidates = [
+            ownedItem.getFlag(MODULE_ID, 'sourceUuid'),
+            ownedItem._stats?.compendiumSource
+        ];
+        return candidates.find(uuid => uuid && config.items?.[uuid]) || null;
+    }
+
+    /**
+     * Get how many units of an owned item one sale takes: as many as one purchase grants
+     * (e.g. 20 arrows), so buying and selling move the same units, price and stock
+     * @param {string} shopId - The shop's ID
+     * @param {Item} ownedItem - Item embedded in an actor
+     * @returns {number} Units per sale
+     */
+    static getSellBundle(shopId, ownedItem) {
+        if (ownedItem.system?.quantity === undefined) return 1;
+        const bundleSize = ownedItem.getFlag(MODULE_ID, 'bundleSize');
+        if (bundleSize) return bundleSize;
+        const sourceUuid = this.getShopSourceUuid(shopId, ownedItem);
+        const source = sourceUuid ? fromUuidSync(sourceUuid, { strict: false }) : null;
+        return Math.max(1, source?.system?.quantity ?? 1);
+    }
+
+    /**
+     * Get the amount the shop offers for one purchase's worth of an owned item
+     * @param {string} shopId - The shop's ID
+     * @param {Item} ownedItem - Item embedded in an actor
+     * @returns {number} Offer in gold
+     */
+    static getSellOffer(shopId, ownedItem) {
+        const sourceUuid = this.getShopSourceUuid(shopId, ownedItem);
+        const itemConfig = sourceUuid ? this.getItemConfig(shopId, sourceUuid) : null;
+        const price = this.getItemPrice(ownedItem, itemConfig);
+        return toGold(Math.floor(toCopper(price) * getBuybackPercentage() / 100));
+    }
+
+    /**
+     * Get the inventory items an actor can sell to the shop
+     * @param {string} shopId - The shop's ID
+     * @param {Actor} actor - The player's actor
+     * @returns {Item[]} Items with a market value
+     */
+    static getSellableItems(shopId, actor) {
+        if (!actor) return [];
+        return actor.items.filter(item => item.system?.price !== undefined &&
+            (item.system?.quantity ?? 1) >= this.getSellBundle(shopId, item) &&
+            this.getSellOffer(shopId, item) > 0);
+    }
+
+    /**
+     * Sell one purchase's worth of an owned item back to the shop
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @param {string} itemId - The embedded item's ID
+     * @returns {Object} Result with success status and message
+     */
+    static async sellItem(shopId, actorId, itemId) {
+        const actor = game.actors.get(actorId);
+        if (!actor) {
+            return { success: false, message: 'Actor not found' };
+        }
+
+        const item = actor.items.get(itemId);
+        if (!item) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        const shop = getShop(shopId);
+        if (!shop) {
+            return { success: false, message: 'Shop not found' };
+        }
+        if (!isShopOpen(shopId)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed') };
+        }
+
+        const price = this.getSellOffer(shopId, item);
+        if (price <= 0) {
+            return {
+                success: false,
+                message: game.i18n.format('ARENA_MARKET.Notifications.ItemNotSellable', { item: item.name })
+            };
+        }
+
+        // Remove the units of one purchase from the inventory
+        const bundle = this.getSellBundle(shopId, item);
+        const quantity = item.system?.quantity ?? 1;
+        if (quantity < bundle) {
+            return {
+                success: false,
+                message: game.i18n.format('ARENA_MARKET.Notifications.NotEnoughToSell', { item: item.name, bundle })
+            };
+        }
+        if (quantity > bundle) {
+            await item.update({ 'system.quantity': quantity - bundle });
+        } else {
+            await item.delete();
+        }
+
+        // Credit the offer as gold, silver and copper
+        await actor.update({
+            'system.currency': receive(getCurrency(actor), toCopper(price))
+        });
+
+        // Return the purchase to stock for limited items
+        const sourceUuid = this.getShopSourceUuid(shopId, item);
+        const config = getShopConfig(shopId);
+        const itemConfig = sourceUuid ? config.items[sourceUuid] : null;
+        let newStock = null;
+        if (itemConfig?.availability === AVAILABILITY_TYPES.LIMITED) {
+            newStock = (itemConfig.currentStock ?? itemConfig.quantity) + 1;
+            itemConfig.currentStock = newStock;
+            await setItemStock(shopId, { [sourceUuid]: newStock });
+        }
+
+        // Log activity
+        await addActivityLog({
+            type: 'sale',
+            shopId,
+            shopName: shop.name,
+            actorId: actor.id,
+            actorName: actor.name,
+            playerName: this.getOwnerName(actor),
+            itemUuid: sourceUuid,
+            itemName: item.name,
+            quantity: bundle > 1 ? bundle : null,
+            price,
+            currency: getCurrencyName()
+        });
+
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Notifications.SaleSuccess', {
+                item: bundle > 1 ? `${item.name} ×${bundle}` : item.name,
+                price,
+                currency: getCurrencyName()
+            }),
+            itemUuid: sourceUuid,
+            newStock
+        };
+    }
+
+    /**
+     * Get the restock rule that applies to an item: its own, or the shop's
+     * @param {string} shopId - The shop's ID
+     * @param {Object} itemConfig - Item configuration from shop
+     * @returns {Object} { trigger, amount }
+     */
+    static getRestockRule(shopId, itemConfig) {
+        if (itemConfig?.restock?.trigger) return itemConfig.restock;
+        return getShopConfig(shopId).restock;
+    }
+
+    /**
+     * Restock the items of a shop whose rule matches a trigger, up to their quantity (GM only)
+     * @param {string} shopId - The shop's ID
+     * @param {string} trigger - One of RESTOCK_TRIGGERS
+     * @param {number} [times=1] - How many times the rule fires (e.g. in-game days passed)
+     * @returns {Object[]} Restocked items: { itemUuid, added, newStock }
+     */
+    static async restockShop(shopId, trigger, times = 1) {
+        const shop = getShop(shopId);
+        if (!shop || times <= 0) return [];
+
+        const config = getShopConfig(shopId);
+        const restocked = [];
+        for (const [itemUuid, itemConfig] of Object.entries(config.items)) {
+            if (!this._tracksStock(itemConfig)) continue;
+            const rule = this.getRestockRule(shopId, itemConfig);
+            if (rule.trigger !== trigger) continue;
+
+            // Capped at the configured quantity; no amount means refill
+            const max = itemConfig.quantity || 0;
+            const current = itemConfig.currentStock ?? max;
+            const target = rule.amount > 0 ? Math.min(max, current + rule.amount * times) : max;
+            if (target <= current) continue;
+
+            itemConfig.currentStock = target;
+            restocked.push({ itemUuid, added: target - current, newStock: target });
+        }
+        if (restocked.length === 0) return [];
+
+        await setItemStock(shopId, Object.fromEntries(restocked.map(({ itemUuid, newStock }) => [itemUuid, newStock])));
+
+        const entries = [];
+        for (const { itemUuid, added } of restocked) {
+            const item = await fromUuid(itemUuid);
+            entries.push({
+                type: 'restock',
+                shopId,
+                shopName: shop.name,
+                itemUuid,
+                itemName: item?.name ?? itemUuid,
+                quantity: added,
+                trigger
+            });
+        }
+        await addActivityLogEntries(entries);
+
+        // Reservation items that got stock go to their queue first
+        for (const { itemUuid } of restocked) {
+            await this.assignReservationStock(shopId, itemUuid);
+        }
+
+        return restocked;
+    }
+
+    /**
+     * Restock every shop for the in-game days passed since its last daily restock (GM only)
+     * @param {number} worldTime - Current world time in seconds
+     * @returns {Object[]} Restocked items across all shops
+     */
+    static async restockByWorldTime(worldTime) {
+        const today = Math.floor(worldTime / SECONDS_PER_DAY);
+        const restocked = [];
+        for (const shop of Object.values(getShops())) {
+            const lastDay = shop.lastRestockDay ?? today;
+            if (today > lastDay) {
+                restocked.push(...await this.restockShop(shop.id, RESTOCK_TRIGGERS.DAY, today - lastDay));
+            }
+            if (shop.lastRestockDay !== today) {
+                await setShopConfig(shop.id, { lastRestockDay: today });
+            }
+        }
+        return restocked;
+    }
+
+    /**
+     * Restock every shop for a trigger (GM only)
+     * @param {string} trigger - One of RESTOCK_TRIGGERS
+     * @returns {Object[]} Restocked items across all shops
+     */
+    static async restockAll(trigger) {
+        const restocked = [];
+        for (const shopId of Object.keys(getShops())) {
+            restocked.push(...await this.restockShop(shopId, trigger));
+        }
+        return restocked;
+    }
+
     /**
      * Update item stock (GM only)
+     * @param {string} shopId - The shop's ID
      * @param {string} itemUuid - The item's UUID
      * @param {number} newStock - New stock value
      */
-    static async updateStock(itemUuid, newStock) {
-        const config = getShopConfig();
+    static async updateStock(shopId, itemUuid, newStock) {
+        const config = getShopConfig(shopId);
         if (config.items[itemUuid]) {
-            config.items[itemUuid].currentStock = newStock;
-            await setShopConfig(config);
+            await setItemStock(shopId, { [itemUuid]: newStock });
+            await this.assignReservationStock(shopId, itemUuid);
         }
     }
 
+    /**
+     * Get the name of the player owning an actor
+     * @param {Actor} actor - The actor
+     * @returns {string} Player name or 'Unknown'
+     */
+    static getOwnerName(actor) {
+        return game.users.get(this.getOwnerId(actor))?.name || 'Unknown';
+    }
+
+    /**
+     * Get the ID of the user owning an actor
+     * @param {Actor} actor - The actor
+     * @returns {string|undefined} User ID
+     */
+    static getOwnerId(actor) {
+        return Object.keys(actor.ownership || {}).find(id =>
+            actor.ownership[id] === 3 && id !== 'default'
+        );
+    }
+
+    /**
+     * Get the characters an actor can buy gifts for: other player characters,
+     * or the other members of the party fund's group when there is one
+     * @param {Actor} actor - The buying actor
+     * @returns {Actor[]} Array of actors
+     */
+    static getGiftRecipients(actor) {
+        if (!actor) return [];
+        const party = Treasury.isMember(actor) ? Treasury.getMembers() : null;
+        const candidates = party ?? game.actors.filter(a => a.type === 'character' && a.hasPlayerOwner);
+        return candidates.filter(a => a.id !== actor.id).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
     /**
      * Get all actors the current user can control
      * @returns {Actor[]} Array of actors
@@ -3,11 +3,18 @@
  * Main Module Entry Point
  */
 
-import { MODULE_ID, MODULE_NAME, registerSettings, isShopOpen, getCurrencyName } from './config.js';
+import { MODULE_ID, MODULE_NAME, ACTIVITY_TYPES, registerSettings, isShopOpen, getOpenShops, getShopList, migrateLegacyShop, getCurrencyName, startSession } from './config.js';
 import { ShopManager } from './shop-manager.js';
 import { PlayerShop } from './player-shop.js';
 import { MarketStore } from './market-store.js';
 import { SocketHandler, SOCKET_EVENTS } from './socket-handler.js';
+import { Ledger } from './ledger.js';
+import { TransactionQueue } from './transaction-queue.js';
+
+/**
+ * How often the active GM looks for auctions past their end time, in milliseconds
+ */
+const AUCTION_CHECK_INTERVAL = 10000;
 
 /**
  * Module initialization
@@ -21,12 +28,20 @@ Hooks.once('init', async () => {
     // Register Handlebars helpers
     registerHandlebarsHelpers();
 
+    // Keep the cached activity log in sync with the ledger
+    Ledger.registerHooks();
+
     // Load templates
     await loadTemplates([
         `modules/${MODULE_ID}/templates/admin-config.hbs`,
         `modules/${MODULE_ID}/templates/player-shop.hbs`,
         `modules/${MODULE_ID}/templates/item-details.hbs`,
-        `modules/${MODULE_ID}/templates/activity-log.hbs`
+        `modules/${MODULE_ID}/templates/receipt.hbs`,
+        `modules/${MODULE_ID}/templates/activity-log.hbs`,
+        `modules/${MODULE_ID}/templates/haggle-config.hbs`,
+        `modules/${MODULE_ID}/templates/discount-form.hbs`,
+        `modules/${MODULE_ID}/templates/preset-apply.hbs`,
+        `modules/${MODULE_ID}/templates/treasury-config.hbs`
     ]);
 
     console.log(`${MODULE_ID} | Initialization complete`);
@@ -38,72 +53,100 @@ Hooks.once('init', async () => {
 Hooks.once('ready', async () => {
     console.log(`${MODULE_ID} | Module ready`);
 
+    // Move pre multi-shop data into the default shop
+    if (game.user.isGM) {
+        await migrateLegacyShop();
+    }
+
+    // Create the ledger and move the log, stock and reservations into it
+    if (game.users.activeGM?.isSelf) {
+        await Ledger.initialize();
+    }
+
     // Initialize socket handler
     SocketHandler.init();
 
-    // Handle purchase/reserve requests from players (GM only)
-    if (game.user.isGM) {
-        game.socket.on(`module.${MODULE_ID}`, async (data) => {
-            if (data.action === 'purchaseRequest') {
-                const result = await MarketStore.purchaseItem(data.actorId, data.itemUuid);
-                if (result.success) {
-                    SocketHandler.emitItemPurchased(data.itemUuid, result.newStock);
-                }
-                // Notify the requesting player
-                game.socket.emit(`module.${MODULE_ID}`, {
-                    action: 'purchaseResult',
-                    result,
-                    targetUser: data.sender
-                });
-            }
+    // Requests are processed one at a time by the active GM only
+    SocketHandler.handleRequests(data => TransactionQueue.handleRequest(data));
 
-            if (data.action === 'reserveRequest') {
-                const result = await MarketStore.reserveItem(data.actorId, data.itemUuid);
-                if (result.success) {
-                    const actor = game.actors.get(data.actorId);
-                    SocketHandler.emitItemReserved(data.itemUuid, actor?.name, 'Player');
-                }
-                // Notify the requesting player
-                game.socket.emit(`module.${MODULE_ID}`, {
-                    action: 'reserveResult',
-                    result,
-                    targetUser: data.sender
-                });
-            }
-        });
-    }
+    // Tell players when one of their characters receives a gift
+    SocketHandler.on(SOCKET_EVENTS.GIFT_RECEIVED, ({ recipientId, senderName, items }) => {
+        const recipient = game.actors.get(recipientId);
+        if (!recipient || MarketStore.getOwnerId(recipient) !== game.user.id) return;
+        ui.notifications.info(game.i18n.format('ARENA_MARKET.Gift.Received', {
+            recipient: recipient.name,
+            sender: senderName,
+            items: items.join(', ')
+        }));
+    });
 
-    // Handle results for players
-    game.socket.on(`module.${MODULE_ID}`, async (data) => {
-        if (data.targetUser === game.user.id) {
-            if (data.action === 'purchaseResult' || data.action === 'reserveResult') {
-                if (data.result.success) {
-                    ui.notifications.info(data.result.message);
-                } else {
-                    ui.notifications.warn(data.result.message);
-                }
-                // Refresh player shop
-                PlayerShop.getInstance().render(false);
-            }
+    // Tell players when one of their characters is outbid, and the winner when an auction closes
+    SocketHandler.on(SOCKET_EVENTS.AUCTION_BID, ({ itemName, actorName, amount, outbidActorId }) => {
+        const outbid = game.actors.get(outbidActorId);
+        if (outbid && MarketStore.getOwnerId(outbid) === game.user.id) {
+            ui.notifications.warn(game.i18n.format('ARENA_MARKET.Auction.Outbid', {
+                actor: outbid.name,
+                item: itemName,
+                bidder: actorName,
+                amount,
+                currency: getCurrencyName()
+            }));
         }
+        ShopManager.refreshAuctions();
+    });
+    SocketHandler.on(SOCKET_EVENTS.AUCTION_CLOSED, ({ itemName, winnerId, winnerName, amount }) => {
+        const winner = game.actors.get(winnerId);
+        if (winner && MarketStore.getOwnerId(winner) === game.user.id) {
+            ui.notifications.info(game.i18n.format('ARENA_MARKET.Auction.Won', {
+                actor: winnerName,
+                item: itemName,
+                amount,
+                currency: getCurrencyName()
+            }));
+        }
+        ShopManager.refreshAuctions();
     });
 
+    // Auctions close on time even when nobody has the shop open
+    setInterval(() => {
+        TransactionQueue.closeExpiredAuctions()
+            .catch(err => console.error(`${MODULE_ID} | Failed to close expired auctions:`, err));
+    }, AUCTION_CHECK_INTERVAL);
+
     // Expose API
     game.modules.get(MODULE_ID).api = {
         ShopManager,
         PlayerShop,
         MarketStore,
         SocketHandler,
+        TransactionQueue,
 
-        openAdminConfig: () => ShopManager.open(),
-        openPlayerShop: () => PlayerShop.open(),
-        isShopOpen: () => isShopOpen(),
-        getCurrencyName: () => getCurrencyName()
+        openAdminConfig: (shopId) => ShopManager.open(shopId),
+        openPlayerShop: (shopId) => PlayerShop.open(shopId),
+        getShops: () => getShopList(),
+        isShopOpen: (shopId) => isShopOpen(shopId),
+        getCurrencyName: () => getCurrencyName(),
+        startSession: () => startSession()
     };
 
     console.log(`${MODULE_ID} | API exposed at game.modules.get('${MODULE_ID}').api`);
 });
 
+/**
+ * Daily restocks follow in-game time (active GM only)
+ */
+Hooks.on('updateWorldTime', (worldTime) => {
+    if (!TransactionQueue.isProcessor) return;
+    TransactionQueue.enqueue(() => MarketStore.restockByWorldTime(worldTime))
+        .then(restocked => {
+            if (restocked.length > 0) {
+                SocketHandler.emitRefreshUI();
+                ShopManager.refreshStock();
+            }
+        })
+        .catch(err => console.error(`${MODULE_ID} | Failed to restock by world time:`, err));
+});
+
 /**
  * Add controls to scene controls
  */
@@ -135,7 +178,7 @@ Hooks.on('getSceneControlButtons', (controls) => {
             if (game.user.isGM) {
                 ShopManager.open();
             } else {
-                if (isShopOpen()) {
+                if (getOpenShops().length > 0) {
                     PlayerShop.open();
                 } else {
                     ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Shop.ClosedMessage'));
@@ -202,6 +245,16 @@ function registerHandlebarsHelpers() {
         return stripped.substring(0, length) + '...';
     });
 
+    // Icon of an activity log entry type
+    Handlebars.registerHelper('arenaActivityIcon', function (type) {
+        return ACTIVITY_TYPES[type]?.icon ?? 'fas fa-bookmark';
+    });
+
+    // Label of an activity log entry type
+    Handlebars.registerHelper('arenaActivityLabel', function (type) {
+        return game.i18n.localize(`ARENA_MARKET.${ACTIVITY_TYPES[type]?.label ?? 'Activity.Reservation'}`);
+    });
+
     // Check if value is in array
     Handlebars.registerHelper('arenaIncludes', function (array, value) {
         return Array.isArray(array) && array.includes(value);
@@ -3,9 +3,79 @@
  * Player Shop - Shopping interface for players
  */
 
-import { MODULE_ID, AVAILABILITY_TYPES, getShopConfig, isShopOpen, getCurrencyName, getReservations } from './config.js';
+import { MODULE_ID, AVAILABILITY_TYPES, RESERVATION_STATUS, getShop, getShopList, getShopConfig, isShopOpen, getCurrencyName, getReservations, isHaggleEnabled, getHaggleSkills } from './config.js';
 import { MarketStore } from './market-store.js';
-import { SocketHandler, SOCKET_EVENTS } from './socket-handler.js';
+import { toCopper, toGold, getWalletCopper, getWalletBreakdown } from './currency.js';
+import { SocketHandler, SOCKET_EVENTS, REQUEST_ACTIONS } from './socket-handler.js';
+import { Treasury } from './treasury.js';
+import { Wishlist } from './wishlist.js';
+
+/**
+ * Category id of the sell-back tab
+ */
+const SELL_CATEGORY = 'sell';
+
+/**
+ * Category id of the "My reservations" tab
+ */
+const RESERVATIONS_CATEGORY = 'reservations';
+
+/**
+ * Category id of the wishlist tab
+ */
+const WISHLIST_CATEGORY = 'wishlist';
+
+/**
+ * Item filters that show every item
+ */
+const EMPTY_ITEM_FILTERS = {
+    search: '',
+    type: '',
+    rarity: '',
+    availability: '',
+    affordable: false,
+    hideSoldOut: false
+};
+
+/**
+ * Ways to sort the item grid
+ */
+const SORT_MODES = ['default', 'priceAsc', 'priceDesc', 'name', 'rarity'];
+
+/**
+ * Show buttons as waiting for the GM, or restore them
+ * @param {HTMLElement[]} buttons - The buttons
+ * @param {boolean} pending - Whether a request is pending
+ */
+function setButtonsPending(buttons, pending) {
+    for (const button of buttons) {
+        button.disabled = pending;
+        button.classList.toggle('pending', pending);
+        const icon = button.querySelector('i');
+        if (!icon) continue;
+        if (pending) {
+            icon.dataset.icon ??= icon.className;
+            icon.className = 'fas fa-spinner fa-spin';
+        } else if (icon.dataset.icon) {
+            icon.className = icon.dataset.icon;
+        }
+    }
+}
+
+/**
+ * Format the time left before an auction ends
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. "02:05:09", with days in front when longer
+ */
+function formatCountdown(ms) {
+    if (ms <= 0) return game.i18n.localize('ARENA_MARKET.Auction.Closing');
+    const seconds = Math.floor(ms / 1000);
+    const days = Math.floor(seconds / 86400);
+    const time = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(value => String(value).padStart(2, '0'))
+        .join(':');
+    return days > 0 ? game.i18n.format('ARENA_MARKET.Auction.DaysLeft', { days, time }) : time;
+}
 
 /**
  * PlayerShop - Player interface for browsing and purchasing items
@@ -15,8 +85,19 @@ export class PlayerShop extends Application {
 
     constructor(options = {}) {
         super(options);
+        this._shopId = null;
         this._selectedActorId = null;
         this._activeCategory = null;
+        this._cart = [];  // Array of { uuid, quantity }
+        this._couponCode = null;
+        this._filters = { ...EMPTY_ITEM_FILTERS };
+        this._sort = 'default';
+        this._focusSearch = false;
+        this._pendingRequests = new Set();
+        this._useTreasury = false;
+        this._recipientId = null;
+        this._countdownTimer = null;
+        this._onSearchInput = foundry.utils.debounce(this._onSearchInput.bind(this), 300);
         this._setupSocketListeners();
     }
 
@@ -32,6 +113,14 @@ export class PlayerShop extends Application {
         });
     }
 
+    /**
+     * Window title shows the shop being browsed
+     */
+    get title() {
+        const shop = getShop(this._shopId);
+        return shop ? `${game.i18n.localize('ARENA_MARKET.PlayerTitle')}: ${shop.name}` : super.title;
+    }
+
     /**
      * Get singleton instance
      */
@@ -44,9 +133,42 @@ export class PlayerShop extends Application {
 
     /**
      * Open the player shop
+     * @param {string} [shopId] - Shop to open; defaults to the last one browsed or the first open shop
+     */
+    static open(shopId = null) {
+        const instance = this.getInstance();
+        if (shopId && shopId !== instance._shopId) {
+            instance._switchShop(shopId);
+        }
+        return instance.render(true);
+    }
+
+    /**
+     * Get the shops the current user can browse
+     * @returns {Object[]} Array of shops
+     */
+    _getVisibleShops() {
+        return getShopList().filter(shop => shop.open || game.user.isGM || shop.id === this._shopId);
+    }
+
+    /**
+     * Make sure a browsable shop is selected
+     */
+    _resolveShopId() {
+        if (getShop(this._shopId)) return;
+        const shops = this._getVisibleShops();
+        this._switchShop(shops[0]?.id ?? null);
+    }
+
+    /**
+     * Switch to another shop, resetting per-shop state
+     * @param {string|null} shopId - The shop's ID
      */
-    static open() {
-        return this.getInstance().render(true);
+    _switchShop(shopId) {
+        this._shopId = shopId;
+        this._activeCategory = null;
+        this._cart = [];
+        this._couponCode = null;
     }
 
     /**
@@ -65,6 +187,18 @@ export class PlayerShop extends Application {
             }
         });
 
+        SocketHandler.on(SOCKET_EVENTS.ITEM_SOLD, () => {
+            if (this.rendered) {
+                this.render(false);
+            }
+        });
+
+        SocketHandler.on(SOCKET_EVENTS.RESERVATION_CANCELLED, () => {
+            if (this.rendered) {
+                this.render(false);
+            }
+        });
+
         SocketHandler.on(SOCKET_EVENTS.CONFIG_UPDATED, () => {
             if (this.rendered) {
                 this.render(false);
@@ -76,15 +210,29 @@ export class PlayerShop extends Application {
                 this.render(false);
             }
         });
+
+        SocketHandler.on(SOCKET_EVENTS.AUCTION_BID, () => {
+            if (this.rendered) {
+                this.render(false);
+            }
+        });
+
+        SocketHandler.on(SOCKET_EVENTS.AUCTION_CLOSED, () => {
+            if (this.rendered) {
+                this.render(false);
+            }
+        });
     }
 
     /**
      * Get data for template rendering
      */
     async getData() {
-        const shopOpen = isShopOpen();
+        this._resolveShopId();
+        const shopId = this._shopId;
+        const shopOpen = isShopOpen(shopId);
         const currencyName = getCurrencyName();
-        const config = getShopConfig();
+        const config = getShopConfig(shopId);
         const playerActors = MarketStore.getPlayerActors();
 
         // Auto-select first actor if none selected
@@ -93,28 +241,47 @@ export class PlayerShop extends Application {
         }
 
         const selectedActor = game.actors.get(this._selectedActorId);
-        const playerGold = selectedActor?.system?.currency?.gp || 0;
+        const playerGold = toGold(getWalletCopper(selectedActor));
 
-        // Build categories (one per compendium)
-        const categories = [];
-        for (const compId of config.compendiums || []) {
-            const pack = game.packs.get(compId);
-            if (!pack) continue;
+        // Paying from the party fund limits purchases to what the member may spend from it
+        const treasury = this._getTreasuryData(selectedActor);
+
+        // Gifts go to another party member; forget a recipient who is no longer one
+        const giftRecipients = MarketStore.getGiftRecipients(selectedActor);
+        if (!giftRecipients.some(actor => actor.id === this._recipientId)) this._recipientId = null;
+        if (!treasury?.allowance.canSpend) this._useTreasury = false;
+        const walletCopper = this._useTreasury ? Treasury.getSpendableCopper(selectedActor) : getWalletCopper(selectedActor);
+
+        // Drop coupons that expired or were used up
+        const coupon = MarketStore.findCoupon(shopId, this._couponCode);
+        if (!coupon) this._couponCode = null;
 
-            const items = await pack.getDocuments();
+        const wishlist = Wishlist.getItems(selectedActor, shopId);
+        const reservations = getReservations(shopId);
+
+        // Build categories (one per compendium or world item folder)
+        const categories = [];
+        for (const { id: compId, name: categoryName, items } of await MarketStore.getItemCategories(config.compendiums, config.folders)) {
             const categoryItems = [];
 
             for (const item of items) {
                 const itemConfig = config.items?.[item.uuid];
                 if (!itemConfig) continue; // Skip unconfigured items
 
-                const price = MarketStore.getItemPrice(item, itemConfig);
-                const stock = MarketStore.getAvailableStock(item.uuid);
-                const canAfford = playerGold >= price;
-                const isSoldOut = itemConfig.availability === AVAILABILITY_TYPES.LIMITED && stock <= 0;
+                const { marketPrice: basePrice, price, haggled, discount } =
+                    MarketStore.getPriceDetails(shopId, this._selectedActorId, item, itemConfig, this._couponCode, config);
+                const trend = MarketStore.getPriceTrend(shopId, item.uuid, itemConfig, config);
+                const stock = MarketStore.getAvailableStock(shopId, item.uuid, config);
+                const auction = this._getAuctionData(shopId, item.uuid, config);
+                // Bids are paid from the actor's own coins
+                const canAfford = auction ?
+                    getWalletCopper(selectedActor) >= toCopper(auction.minimumBid) :
+                    walletCopper >= toCopper(price);
+                const isSoldOut = (itemConfig.availability === AVAILABILITY_TYPES.LIMITED && stock <= 0) || !!auction?.closed;
+                const allowance = MarketStore.getPurchaseAllowance(shopId, selectedActor, item.uuid, itemConfig);
+                const limitReached = !!allowance && allowance.remaining <= 0;
 
                 // Check if player already reserved this item
-                const reservations = getReservations();
                 const hasReserved = reservations[item.uuid]?.some(r => r.actorId === this._selectedActorId);
 
                 categoryItems.push({
@@ -122,24 +289,36 @@ export class PlayerShop extends Application {
                     name: item.name,
                     img: item.img,
                     type: item.type,
+                    rarity: item.system?.rarity || '',
                     description: item.system?.description?.value || '',
-                    price,
+                    price: auction ? auction.currentBid : price,
+                    basePrice,
+                    showOriginal: price !== basePrice,
+                    haggled,
+                    discountPercent: discount?.percent ?? null,
+                    trend,
                     availability: itemConfig.availability,
                     stock,
                     isUnlimited: itemConfig.availability === AVAILABILITY_TYPES.UNLIMITED,
                     isLimited: itemConfig.availability === AVAILABILITY_TYPES.LIMITED,
                     isReservation: itemConfig.availability === AVAILABILITY_TYPES.RESERVATION,
+                    auction,
                     canAfford,
                     isSoldOut,
                     hasReserved,
-                    disabled: !shopOpen || isSoldOut || (!canAfford && itemConfig.availability !== AVAILABILITY_TYPES.RESERVATION) || hasReserved
+                    wished: wishlist.includes(item.uuid),
+                    allowance,
+                    limitReached,
+                    disabled: auction ?
+                        !shopOpen || !auction.open || auction.isWinning || !canAfford :
+                        !shopOpen || isSoldOut || limitReached || (!canAfford && itemConfig.availability !== AVAILABILITY_TYPES.RESERVATION) || hasReserved
                 });
             }
 
             if (categoryItems.length > 0) {
                 categories.push({
                     id: compId,
-                    name: pack.metadata.label,
+                    name: categoryName,
                     items: categoryItems,
                     active: this._activeCategory === compId || (!this._activeCategory && categories.length === 0)
                 });
@@ -152,7 +331,58 @@ export class PlayerShop extends Application {
             categories[0].active = true;
         }
 
+        // Resolve cart lines against the items currently on sale
+        const shopItems = new Map(categories.flatMap(c => c.items).map(i => [i.uuid, i]));
+        this._cart = this._cart.filter(line => shopItems.has(line.uuid));
+        const cartItems = this._cart.map((line, index) => {
+            const shopItem = shopItems.get(line.uuid);
+            return {
+                index,
+                uuid: line.uuid,
+                name: shopItem.name,
+                img: shopItem.img,
+                quantity: line.quantity,
+                price: toGold(toCopper(shopItem.price) * line.quantity)
+            };
+        });
+        const cartTotalCopper = cartItems.reduce((sum, line) => sum + toCopper(line.price), 0);
+
+        // Filter options come from everything on sale; the cart above still sees every item
+        const allItems = [...shopItems.values()];
+        const itemTypes = [...new Set(allItems.map(item => item.type))].sort();
+        const rarityOrder = this._getRarityOrder();
+        const itemRarities = [...new Set(allItems.map(item => item.rarity).filter(Boolean))]
+            .sort((a, b) => rarityOrder.indexOf(a) - rarityOrder.indexOf(b))
+            .map(rarity => ({ value: rarity, label: game.i18n.localize(CONFIG.DND5E?.itemRarity?.[rarity] ?? rarity) }));
+        for (const category of categories) {
+            category.total = category.items.length;
+            category.items = this._filterItems(category.items);
+        }
+
+        // Items the selected actor can sell back to the shop
+        const sellItems = MarketStore.getSellableItems(shopId, selectedActor).map(item => {
+            const bundle = MarketStore.getSellBundle(shopId, item);
+            return {
+                id: item.id,
+                name: item.name,
+                img: item.img,
+                type: item.type,
+                quantity: item.system?.quantity ?? 1,
+                bundle,
+                isBundle: bundle > 1,
+                offer: MarketStore.getSellOffer(shopId, item)
+            };
+        });
+
         return {
+            shops: this._getVisibleShops().map(shop => ({
+                id: shop.id,
+                name: shop.name,
+                icon: shop.icon,
+                open: shop.open,
+                selected: shop.id === shopId
+            })),
+            shop: config.id ? { id: config.id, name: config.name, icon: config.icon } : null,
             shopOpen,
             currencyName,
             playerActors: playerActors.map(a => ({
@@ -167,21 +397,192 @@ export class PlayerShop extends Application {
                 img: selectedActor.img
             } : null,
             playerGold,
+            wallet: getWalletBreakdown(selectedActor),
+            treasury,
+            useTreasury: this._useTreasury,
+            giftRecipients: giftRecipients.map(actor => ({
+                id: actor.id,
+                name: actor.name,
+                selected: actor.id === this._recipientId
+            })),
+            recipientName: game.actors.get(this._recipientId)?.name ?? null,
+            budgetGold: toGold(walletCopper),
             categories,
             hasCategories: categories.length > 0,
+            filters: this._filters,
+            filtered: Object.entries(this._filters).some(([key, value]) => value !== EMPTY_ITEM_FILTERS[key]),
+            itemTypes,
+            itemRarities,
+            availabilityTypes: Object.values(AVAILABILITY_TYPES),
+            sort: this._sort,
+            sortModes: SORT_MODES,
+            cartItems,
+            cartTotal: toGold(cartTotalCopper),
+            cartOverBudget: cartTotalCopper > walletCopper,
+            sellItems,
+            coupon: coupon ? { code: coupon.code, name: coupon.name, percent: coupon.percent } : null,
+            sellActive: this._activeCategory === SELL_CATEGORY,
+            myReservations: this._getActorReservations(shopId, this._selectedActorId),
+            reservationsActive: this._activeCategory === RESERVATIONS_CATEGORY,
+            wishlist: this._getWishlistData(wishlist, shopItems),
+            wishlistActive: this._activeCategory === WISHLIST_CATEGORY,
             isGM: game.user.isGM
         };
     }
 
+    /**
+     * Get an auction item's bids as seen by the selected actor
+     * @param {string} shopId - The shop's ID
+     * @param {string} uuid - The item's UUID
+     * @param {Object} [config] - The shop's configuration
+     * @returns {Object|null} Auction data for the templates, or null if the item is not auctioned
+     */
+    _getAuctionData(shopId, uuid, config) {
+        const auction = MarketStore.getAuction(shopId, uuid, config);
+        if (!auction) return null;
+        return {
+            open: auction.open,
+            closed: auction.closed,
+            endsAt: auction.endsAt,
+            minimumBid: auction.minimumBid,
+            increment: auction.increment,
+            topBid: auction.topBid,
+            currentBid: auction.topBid?.amount ?? auction.startingBid,
+            isWinning: !!auction.topBid && auction.topBid.actorId === this._selectedActorId,
+            bids: [...auction.bids].reverse(),
+            statusLabel: MarketStore.getAuctionStatus(auction)
+        };
+    }
+
+    /**
+     * Get the party fund as seen by the selected actor
+     * @param {Actor} actor - The selected actor
+     * @returns {Object|null} { name, funds, allowance }, or null if the actor is not in the party
+     */
+    _getTreasuryData(actor) {
+        const fund = Treasury.getActor();
+        if (!fund || !Treasury.isMember(actor)) return null;
+        return {
+            name: fund.name,
+            funds: toGold(getWalletCopper(fund)),
+            allowance: Treasury.getAllowance(actor)
+        };
+    }
+
+    /**
+     * Get rarity keys from most common to rarest; mundane items come first
+     * @returns {string[]} Rarity keys
+     */
+    _getRarityOrder() {
+        return ['', ...Object.keys(CONFIG.DND5E?.itemRarity ?? {})];
+    }
+
+    /**
+     * Apply the search, filters and sort order to a category's items
+     * @param {Object[]} items - Item cards
+     * @returns {Object[]} Matching item cards, sorted
+     */
+    _filterItems(items) {
+        const { search, type, rarity, availability, affordable, hideSoldOut } = this._filters;
+        const term = search.toLowerCase();
+        const filtered = items.filter(item =>
+            (!term || item.name.toLowerCase().includes(term)) &&
+            (!type || item.type === type) &&
+            (!rarity || item.rarity === rarity) &&
+            (!availability || item.availability === availability) &&
+            (!affordable || item.canAfford) &&
+            (!hideSoldOut || !item.isSoldOut)
+        );
+
+        const rarityOrder = this._getRarityOrder();
+        switch (this._sort) {
+            case 'priceAsc':
+                return filtered.sort((a, b) => a.price - b.price);
+            case 'priceDesc':
+                return filtered.sort((a, b) => b.price - a.price);
+            case 'name':
+                return filtered.sort((a, b) => a.name.localeCompare(b.name));
+            case 'rarity':
+                return filtered.sort((a, b) => rarityOrder.indexOf(a.rarity) - rarityOrder.indexOf(b.rarity) ||
+                    a.name.localeCompare(b.name));
+            default:
+                return filtered;
+        }
+    }
+
+    /**
+     * Build the list of reservations held by an actor in a shop
+     * @param {string} shopId - The shop's ID
+     * @param {string} actorId - The actor's ID
+     * @returns {Object[]} Array of reservations with item name and queue position
+     */
+    _getActorReservations(shopId, actorId) {
+        if (!actorId) return [];
+        return Object.entries(getReservations(shopId)).flatMap(([uuid, entries]) => {
+            const queue = [...(entries || [])].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            const index = queue.findIndex(r => r.actorId === actorId);
+            if (index === -1) return [];
+
+            const item = fromUuidSync(uuid, { strict: false });
+            const status = queue[index].status ?? RESERVATION_STATUS.PENDING;
+            return [{
+                uuid,
+                name: item?.name ?? uuid,
+                img: item?.img ?? 'icons/svg/item-bag.svg',
+                timestamp: queue[index].timestamp,
+                position: index + 1,
+                queueLength: queue.length,
+                statusLabel: game.i18n.localize(status === RESERVATION_STATUS.APPROVED ?
+                    'ARENA_MARKET.Reservations.Approved' :
+                    'ARENA_MARKET.Reservations.Pending')
+            }];
+        });
+    }
+
+    /**
+     * Get the selected actor's wishlist with each item's current availability
+     * @param {string[]} wishlist - Wished item UUIDs
+     * @param {Map} shopItems - uuid -> item data of the items on sale
+     * @returns {Object[]} Wishlist entries
+     */
+    _getWishlistData(wishlist, shopItems) {
+        return wishlist.map(uuid => {
+            const shopItem = shopItems.get(uuid);
+            const item = shopItem ?? fromUuidSync(uuid, { strict: false });
+            const statusKey = !shopItem ? 'ARENA_MARKET.Wishlist.NotForSale' :
+                shopItem.isSoldOut ? 'ARENA_MARKET.Item.SoldOut' : 'ARENA_MARKET.Wishlist.InStock';
+            return {
+                uuid,
+                name: item?.name ?? uuid,
+                img: item?.img ?? 'icons/svg/item-bag.svg',
+                price: shopItem?.price ?? null,
+                stock: shopItem?.isLimited ? shopItem.stock : null,
+                available: !!shopItem && !shopItem.isSoldOut,
+                statusLabel: game.i18n.localize(statusKey)
+            };
+        });
+    }
+
     /**
      * Activate event listeners
      */
     activateListeners(html) {
         super.activateListeners(html);
 
+        // Shop selection
+        html.find('.shop-select').on('change', this._onShopSelect.bind(this));
+
         // Actor selection
         html.find('.actor-select').on('change', this._onActorSelect.bind(this));
 
+        // Party fund
+        html.find('.use-treasury').on('change', this._onUseTreasuryChange.bind(this));
+
+        // Gift recipient
+        html.find('.gift-recipient-select').on('change', this._onRecipientSelect.bind(this));
+        html.find('.treasury-deposit-btn').on('click', (event) => this._onTreasuryTransfer(REQUEST_ACTIONS.TREASURY_DEPOSIT, event));
+        html.find('.treasury-withdraw-btn').on('click', (event) => this._onTreasuryTransfer(REQUEST_ACTIONS.TREASURY_WITHDRAW, event));
+
         // Category tabs
         html.find('.category-tab').on('click', this._onCategoryClick.bind(this));
 
@@ -193,6 +594,90 @@ export class PlayerShop extends Application {
 
         // Reserve button
         html.find('.reserve-btn').on('click', this._onReserveClick.bind(this));
+        html.find('.bid-btn').on('click', this._onBidClick.bind(this));
+        html.find('.cancel-reservation-btn').on('click', this._onCancelReservationClick.bind(this));
+        html.find('.wishlist-btn').on('click', this._onWishlistToggle.bind(this));
+
+        // Cart
+        html.find('.add-to-cart-btn').on('click', this._onAddToCartClick.bind(this));
+        html.find('.remove-from-cart-btn').on('click', this._onRemoveFromCartClick.bind(this));
+        html.find('.clear-cart-btn').on('click', this._onClearCartClick.bind(this));
+        html.find('.checkout-btn').on('click', this._onCheckoutClick.bind(this));
+
+        // Coupon codes
+        html.find('.apply-coupon-btn').on('click', this._onApplyCouponClick.bind(this));
+        html.find('.coupon-input').on('keydown', (event) => {
+            if (event.key === 'Enter') this._onApplyCouponClick(event);
+        });
+        html.find('.remove-coupon-btn').on('click', this._onRemoveCouponClick.bind(this));
+
+        // Sell button
+        html.find('.sell-btn').on('click', this._onSellClick.bind(this));
+
+        // Search, filters and sorting
+        const search = html.find('.item-search');
+        search.on('input', this._onSearchInput);
+        html.find('.item-filter').on('change', this._onFilterChange.bind(this));
+        html.find('.item-sort').on('change', this._onSortChange.bind(this));
+        html.find('.reset-filters-btn').on('click', this._onResetFilters.bind(this));
+
+        // Buttons whose request is still waiting for the GM
+        for (const selector of this._pendingRequests) {
+            setButtonsPending(html.find(selector).toArray(), true);
+        }
+
+        this._startCountdowns(html);
+
+        // Keep typing in the search box after it re-rendered the grid
+        if (this._focusSearch) {
+            this._focusSearch = false;
+            const input = search[0];
+            input?.focus();
+            input?.setSelectionRange(input.value.length, input.value.length);
+        }
+    }
+
+    /**
+     * Handle typing in the search box (debounced, so the grid re-renders once typing pauses)
+     */
+    _onSearchInput(event) {
+        this._filters.search = event.target.value.trim();
+        this._focusSearch = true;
+        this.render(false);
+    }
+
+    /**
+     * Handle filter change
+     */
+    _onFilterChange(event) {
+        const input = event.currentTarget;
+        this._filters[input.dataset.filter] = input.type === 'checkbox' ? input.checked : input.value;
+        this.render(false);
+    }
+
+    /**
+     * Handle sort order change
+     */
+    _onSortChange(event) {
+        this._sort = event.currentTarget.value;
+        this.render(false);
+    }
+
+    /**
+     * Handle filters reset
+     */
+    _onResetFilters(event) {
+        event.preventDefault();
+        this._filters = { ...EMPTY_ITEM_FILTERS };
+        this.render(false);
+    }
+
+    /**
+     * Handle shop selection change
+     */
+    _onShopSelect(event) {
+        this._switchShop(event.currentTarget.value);
+        this.render(false);
     }
 
     /**
@@ -203,6 +688,46 @@ export class PlayerShop extends Application {
         this.render(false);
     }
 
+    /**
+     * Handle choosing who receives the purchases: the selected actor or a gift recipient
+     */
+    _onRecipientSelect(event) {
+        this._recipientId = event.currentTarget.value || null;
+        this.render(false);
+    }
+
+    /**
+     * Handle switching between the actor's wallet and the party fund
+     */
+    _onUseTreasuryChange(event) {
+        this._useTreasury = event.currentTarget.checked;
+        this.render(false);
+    }
+
+    /**
+     * Handle a deposit into or withdrawal from the party fund
+     * @param {string} action - REQUEST_ACTIONS.TREASURY_DEPOSIT or TREASURY_WITHDRAW
+     */
+    async _onTreasuryTransfer(action, event) {
+        event.preventDefault();
+        const deposit = action === REQUEST_ACTIONS.TREASURY_DEPOSIT;
+        const amount = await Dialog.prompt({
+            title: game.i18n.localize(deposit ? 'ARENA_MARKET.Treasury.Deposit' : 'ARENA_MARKET.Treasury.Withdraw'),
+            content: `<div class="form-group">
+                <label>${game.i18n.localize('ARENA_MARKET.Treasury.Amount')} (${getCurrencyName()})</label>
+                <input type="number" name="amount" min="0.01" step="0.01" autofocus>
+            </div>`,
+            label: game.i18n.localize(deposit ? 'ARENA_MARKET.Treasury.Deposit' : 'ARENA_MARKET.Treasury.Withdraw'),
+            callback: (html) => Number(html.find('input[name="amount"]').val()) || 0,
+            rejectClose: false
+        });
+        if (!amount) return;
+
+        const selector = deposit ? '.treasury-deposit-btn' : '.treasury-withdraw-btn';
+        const result = await this._request(selector, action, { actorId: this._selectedActorId, amount });
+        this._onRequestResult(result);
+    }
+
     /**
      * Handle category tab click
      */
@@ -212,21 +737,68 @@ export class PlayerShop extends Application {
         this.render(false);
     }
 
+    /**
+     * Add an item to the selected actor's wishlist, or remove it
+     */
+    async _onWishlistToggle(event) {
+        event.preventDefault();
+        const actor = game.actors.get(this._selectedActorId);
+        if (!actor) return;
+
+        const uuid = event.currentTarget.dataset.uuid;
+        const wished = await Wishlist.toggle(actor, this._shopId, uuid);
+        const item = fromUuidSync(uuid, { strict: false });
+        ui.notifications.info(game.i18n.format(wished ? 'ARENA_MARKET.Wishlist.Added' : 'ARENA_MARKET.Wishlist.Removed', {
+            item: item?.name ?? uuid,
+            actor: actor.name
+        }));
+        this.render(false);
+    }
+
+    /**
+     * Tick the auction countdowns of the shop and its item details every second
+     * @param {jQuery} html - The rendered shop
+     */
+    _startCountdowns(html) {
+        clearInterval(this._countdownTimer);
+        this._countdownTimer = null;
+        if (html.find('.auction-countdown').length === 0) return;
+
+        const tick = () => {
+            for (const element of document.querySelectorAll('.arena-market .auction-countdown')) {
+                element.textContent = formatCountdown(Number(element.dataset.endsAt) - Date.now());
+            }
+        };
+        tick();
+        this._countdownTimer = setInterval(tick, 1000);
+    }
+
+    /**
+     * Stop the countdowns when the window closes
+     */
+    async close(options) {
+        clearInterval(this._countdownTimer);
+        this._countdownTimer = null;
+        return super.close(options);
+    }
+
     /**
      * Handle item click - show details
      */
     async _onItemClick(event) {
-        // Don't trigger if clicking on buttons
-        if (event.target.closest('button')) return;
+        // Don't trigger if clicking on buttons or the quantity selector
+        if (event.target.closest('button, input')) return;
 
         const uuid = event.currentTarget.dataset.uuid;
         const item = await fromUuid(uuid);
         if (!item) return;
 
-        const config = getShopConfig();
-        const itemConfig = config.items?.[uuid];
-        const price = MarketStore.getItemPrice(item, itemConfig);
+        const itemConfig = MarketStore.getItemConfig(this._shopId, uuid);
+        const { marketPrice: basePrice, price, haggled, discount } =
+            MarketStore.getPriceDetails(this._shopId, this._selectedActorId, item, itemConfig, this._couponCode);
         const currencyName = getCurrencyName();
+        const isReservation = itemConfig?.availability === AVAILABILITY_TYPES.RESERVATION;
+        const auction = this._getAuctionData(this._shopId, uuid);
 
         // Render item details dialog
         const content = await renderTemplate(`modules/${MODULE_ID}/templates/item-details.hbs`, {
@@ -237,12 +809,19 @@ export class PlayerShop extends Application {
                 type: item.type,
                 description: item.system?.description?.value || '',
                 price,
+                basePrice,
+                showOriginal: price !== basePrice,
+                haggled,
+                discountPercent: discount?.percent ?? null,
+                canHaggle: isHaggleEnabled() && !isReservation && !auction && !!this._selectedActorId,
+                haggleAttemptsLeft: MarketStore.getHaggleAttemptsLeft(this._shopId, this._selectedActorId, uuid),
                 currencyName,
                 availability: itemConfig?.availability,
-                stock: MarketStore.getAvailableStock(uuid),
+                stock: MarketStore.getAvailableStock(this._shopId, uuid),
                 isUnlimited: itemConfig?.availability === AVAILABILITY_TYPES.UNLIMITED,
                 isLimited: itemConfig?.availability === AVAILABILITY_TYPES.LIMITED,
-                isReservation: itemConfig?.availability === AVAILABILITY_TYPES.RESERVATION,
+                isReservation,
+                auction,
                 // D&D 5e specific properties
                 rarity: item.system?.rarity,
                 weight: item.system?.weight?.value,
@@ -256,8 +835,17 @@ export class PlayerShop extends Application {
             content,
             buttons: {},
             render: (html) => {
-                html.find('.buy-btn').on('click', () => this._purchaseItem(uuid));
-                html.find('.reserve-btn').on('click', () => this._reserveItem(uuid));
+                // Dialog buttons stay disabled until the GM answers
+                const whilePending = (handler) => async (ev) => {
+                    const button = ev.currentTarget;
+                    setButtonsPending([button], true);
+                    await handler(button);
+                    setButtonsPending([button], false);
+                };
+                html.find('.buy-btn').on('click', whilePending((button) => this._purchaseItem(uuid, this._readQuantity(button))));
+                html.find('.reserve-btn').on('click', whilePending(() => this._reserveItem(uuid)));
+                html.find('.haggle-btn').on('click', whilePending(() => this._haggleItem(uuid)));
+                html.find('.bid-btn').on('click', whilePending((button) => this._placeBid(uuid, this._readBid(button))));
             }
         }, {
             classes: ['arena-market', 'arena-market-details'],
@@ -272,7 +860,7 @@ export class PlayerShop extends Application {
         event.preventDefault();
         event.stopPropagation();
         const uuid = event.currentTarget.dataset.uuid;
-        await this._purchaseItem(uuid);
+        await this._purchaseItem(uuid, this._readQuantity(event.currentTarget));
     }
 
     /**
@@ -286,40 +874,206 @@ export class PlayerShop extends Application {
     }
 
     /**
-     * Purchase an item
+     * Handle bid button click
      */
-    async _purchaseItem(uuid) {
-        if (!this._selectedActorId) {
-            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+    async _onBidClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const uuid = event.currentTarget.dataset.uuid;
+        await this._placeBid(uuid, this._readBid(event.currentTarget));
+    }
+
+    /**
+     * Handle cancel reservation button click - confirm first
+     */
+    async _onCancelReservationClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const uuid = event.currentTarget.dataset.uuid;
+        const item = fromUuidSync(uuid, { strict: false });
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Reservations.Cancel'),
+            content: `<p>${game.i18n.format('ARENA_MARKET.Reservations.CancelConfirm', { item: item?.name ?? uuid })}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+
+        if (confirmed) {
+            await this._cancelReservation(uuid);
+        }
+    }
+
+    /**
+     * Handle add to cart button click
+     */
+    _onAddToCartClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const uuid = event.currentTarget.dataset.uuid;
+        const quantity = this._readQuantity(event.currentTarget);
+        const line = this._cart.find(l => l.uuid === uuid);
+
+        // Don't let the cart hold more units than the shop has in stock
+        const name = event.currentTarget.closest('.shop-item')?.querySelector('.item-name')?.textContent;
+        const stock = MarketStore.getAvailableStock(this._shopId, uuid);
+        if (stock !== null && (line?.quantity ?? 0) + quantity > stock) {
+            ui.notifications.warn(game.i18n.format('ARENA_MARKET.Notifications.NotEnoughStock', { item: name }));
             return;
         }
 
-        if (!isShopOpen()) {
-            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
+        // ...or more than the selected character may still buy
+        const allowance = MarketStore.getPurchaseAllowance(this._shopId, game.actors.get(this._selectedActorId),
+            uuid, MarketStore.getItemConfig(this._shopId, uuid));
+        if (allowance && (line?.quantity ?? 0) + quantity > allowance.remaining) {
+            ui.notifications.warn(game.i18n.format('ARENA_MARKET.Notifications.PurchaseLimitReached', {
+                item: name,
+                remaining: allowance.remaining,
+                limit: allowance.limit
+            }));
             return;
         }
 
-        // Request purchase through GM
-        if (game.user.isGM) {
-            const result = await MarketStore.purchaseItem(this._selectedActorId, uuid);
-            if (result.success) {
-                ui.notifications.info(result.message);
-                SocketHandler.emitItemPurchased(uuid, result.newStock);
-            } else {
-                ui.notifications.warn(result.message);
-            }
+        if (line) {
+            line.quantity += quantity;
         } else {
-            // Send request to GM via socket
-            game.socket.emit(`module.${MODULE_ID}`, {
-                action: 'purchaseRequest',
-                actorId: this._selectedActorId,
-                itemUuid: uuid
-            });
+            this._cart.push({ uuid, quantity });
+        }
+        this.render(false);
+    }
+
+    /**
+     * Handle remove from cart button click
+     */
+    _onRemoveFromCartClick(event) {
+        event.preventDefault();
+        const index = Number(event.currentTarget.dataset.index);
+        this._cart.splice(index, 1);
+        this.render(false);
+    }
+
+    /**
+     * Handle clear cart button click
+     */
+    _onClearCartClick(event) {
+        event.preventDefault();
+        this._cart = [];
+        this.render(false);
+    }
+
+    /**
+     * Handle checkout button click
+     */
+    async _onCheckoutClick(event) {
+        event.preventDefault();
+        await this._checkout();
+    }
+
+    /**
+     * Handle apply coupon button click
+     */
+    _onApplyCouponClick(event) {
+        event.preventDefault();
+        const code = this.element.find('.coupon-input').val();
+        const coupon = MarketStore.findCoupon(this._shopId, code);
+        if (!coupon) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.CouponInvalid'));
+            return;
         }
 
+        this._couponCode = coupon.code;
+        ui.notifications.info(game.i18n.format('ARENA_MARKET.Notifications.CouponApplied', {
+            name: coupon.name,
+            percent: coupon.percent
+        }));
         this.render(false);
     }
 
+    /**
+     * Handle remove coupon button click
+     */
+    _onRemoveCouponClick(event) {
+        event.preventDefault();
+        this._couponCode = null;
+        this.render(false);
+    }
+
+    /**
+     * Read the quantity selector next to a button
+     * @param {HTMLElement} element - The clicked button
+     * @returns {number} Selected quantity (at least 1)
+     */
+    _readQuantity(element) {
+        const container = element.closest('.shop-item, .item-details-popup');
+        const input = container?.querySelector('.quantity-input');
+        return Math.max(1, parseInt(input?.value) || 1);
+    }
+
+    /**
+     * Read the bid field next to a button
+     * @param {HTMLElement} element - The clicked button
+     * @returns {number} Bid in gold (NaN if empty)
+     */
+    _readBid(element) {
+        const container = element.closest('.shop-item, .item-details-popup');
+        return parseFloat(container?.querySelector('.bid-input')?.value);
+    }
+
+    /**
+     * Handle sell button click - confirm the offer first
+     */
+    async _onSellClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const itemId = event.currentTarget.dataset.itemId;
+        const actor = game.actors.get(this._selectedActorId);
+        const item = actor?.items.get(itemId);
+        if (!item) return;
+
+        const bundle = MarketStore.getSellBundle(this._shopId, item);
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Sell.ConfirmTitle'),
+            content: `<p>${game.i18n.format('ARENA_MARKET.Sell.ConfirmMessage', {
+                item: bundle > 1 ? `${item.name} ×${bundle}` : item.name,
+                price: MarketStore.getSellOffer(this._shopId, item),
+                currency: getCurrencyName()
+            })}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+
+        if (confirmed) {
+            await this._sellItem(itemId);
+        }
+    }
+
+    /**
+     * Purchase an item
+     */
+    async _purchaseItem(uuid, quantity = 1) {
+        if (!this._selectedActorId) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+            return;
+        }
+
+        if (!isShopOpen(this._shopId)) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
+            return;
+        }
+
+        // Request purchase through the active GM
+        const result = await this._request(`.buy-btn[data-uuid="${uuid}"]`, REQUEST_ACTIONS.PURCHASE, {
+            shopId: this._shopId,
+            actorId: this._selectedActorId,
+            itemUuid: uuid,
+            quantity,
+            couponCode: this._couponCode,
+            useTreasury: this._useTreasury,
+            recipientId: this._recipientId
+        });
+        this._onRequestResult(result);
+    }
+
     /**
      * Reserve an item
      */
@@ -329,30 +1083,231 @@ export class PlayerShop extends Application {
             return;
         }
 
-        if (!isShopOpen()) {
+        if (!isShopOpen(this._shopId)) {
             ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
             return;
         }
 
-        // Request reservation through GM
-        if (game.user.isGM) {
-            const result = await MarketStore.reserveItem(this._selectedActorId, uuid);
-            if (result.success) {
-                ui.notifications.info(result.message);
-                const actor = game.actors.get(this._selectedActorId);
-                SocketHandler.emitItemReserved(uuid, actor?.name, game.user.name);
-            } else {
-                ui.notifications.warn(result.message);
-            }
+        // Request reservation through the active GM
+        const result = await this._request(`.reserve-btn[data-uuid="${uuid}"]`, REQUEST_ACTIONS.RESERVE, {
+            shopId: this._shopId,
+            actorId: this._selectedActorId,
+            itemUuid: uuid
+        });
+        this._onRequestResult(result);
+    }
+
+    /**
+     * Bid on an auction item for the selected actor
+     */
+    async _placeBid(uuid, amount) {
+        if (!this._selectedActorId) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+            return;
+        }
+
+        if (!isShopOpen(this._shopId)) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
+            return;
+        }
+
+        // Bids are checked and recorded by the active GM
+        const result = await this._request(`.bid-btn[data-uuid="${uuid}"]`, REQUEST_ACTIONS.PLACE_BID, {
+            shopId: this._shopId,
+            actorId: this._selectedActorId,
+            itemUuid: uuid,
+            amount
+        });
+        this._onRequestResult(result);
+    }
+
+    /**
+     * Cancel the selected actor's reservation of an item
+     */
+    async _cancelReservation(uuid) {
+        if (!this._selectedActorId) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+            return;
+        }
+
+        // Request cancellation through the active GM
+        const result = await this._request(`.cancel-reservation-btn[data-uuid="${uuid}"]`, REQUEST_ACTIONS.CANCEL_RESERVATION, {
+            shopId: this._shopId,
+            actorId: this._selectedActorId,
+            itemUuid: uuid
+        });
+        this._onRequestResult(result);
+    }
+
+    /**
+     * Haggle over an item's price with a skill check.
+     * Only the chosen skill is sent; the active GM rolls the check and records the outcome.
+     */
+    async _haggleItem(uuid) {
+        const actor = game.actors.get(this._selectedActorId);
+        if (!actor) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+            return;
+        }
+
+        if (!isShopOpen(this._shopId)) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
+            return;
+        }
+
+        if (MarketStore.getHaggleAttemptsLeft(this._shopId, actor.id, uuid) <= 0) {
+            const item = fromUuidSync(uuid, { strict: false });
+            ui.notifications.warn(game.i18n.format('ARENA_MARKET.Notifications.HaggleNoAttempts', { item: item?.name ?? uuid }));
+            return;
+        }
+
+        const skill = await this._chooseHaggleSkill();
+        if (!skill) return;
+
+        // The active GM rolls the check, so the total cannot be tampered with
+        const result = await this._request(null, REQUEST_ACTIONS.HAGGLE, {
+            shopId: this._shopId,
+            actorId: actor.id,
+            itemUuid: uuid,
+            skill
+        });
+        this._onRequestResult(result);
+    }
+
+    /**
+     * Ask which skill to haggle with when the GM allows more than one
+     * @returns {string|null} dnd5e skill id, or null if cancelled
+     */
+    async _chooseHaggleSkill() {
+        const skills = getHaggleSkills();
+        if (skills.length === 1) return skills[0];
+
+        return new Promise(resolve => {
+            const buttons = Object.fromEntries(skills.map(skill => [skill, {
+                label: game.i18n.localize(`ARENA_MARKET.Haggle.Skills.${skill}`),
+                callback: () => resolve(skill)
+            }]));
+            new Dialog({
+                title: game.i18n.localize('ARENA_MARKET.Haggle.Title'),
+                content: `<p>${game.i18n.localize('ARENA_MARKET.Haggle.ChooseSkill')}</p>`,
+                buttons,
+                close: () => resolve(null)
+            }).render(true);
+        });
+    }
+
+    /**
+     * Sell an owned item back to the shop
+     */
+    async _sellItem(itemId) {
+        if (!this._selectedActorId) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+            return;
+        }
+
+        if (!isShopOpen(this._shopId)) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
+            return;
+        }
+
+        // Request sale through the active GM
+        const result = await this._request(`.sell-btn[data-item-id="${itemId}"]`, REQUEST_ACTIONS.SELL, {
+            shopId: this._shopId,
+            actorId: this._selectedActorId,
+            itemId
+        });
+        this._onRequestResult(result);
+    }
+
+    /**
+     * Buy everything in the cart as a single transaction
+     */
+    async _checkout() {
+        if (!this._selectedActorId) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.NoCharacterSelected'));
+            return;
+        }
+
+        if (!isShopOpen(this._shopId)) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.ShopClosed'));
+            return;
+        }
+
+        // Request checkout through the active GM
+        const result = await this._request('.checkout-btn', REQUEST_ACTIONS.CHECKOUT, {
+            shopId: this._shopId,
+            actorId: this._selectedActorId,
+            cart: [...this._cart],
+            couponCode: this._couponCode,
+            useTreasury: this._useTreasury,
+            recipientId: this._recipientId
+        });
+        await this._onCheckoutResult(result);
+    }
+
+    /**
+     * Send a request to the active GM, showing the matching buttons as pending until it is answered
+     * @param {string|null} selector - Selector of the buttons that started the request
+     * @param {string} action - One of REQUEST_ACTIONS
+     * @param {Object} payload - Request data
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async _request(selector, action, payload) {
+        if (selector) {
+            this._pendingRequests.add(selector);
+            if (this.rendered) setButtonsPending(this.element.find(selector).toArray(), true);
+        }
+        try {
+            return await SocketHandler.request(action, payload);
+        } finally {
+            if (selector) this._pendingRequests.delete(selector);
+        }
+    }
+
+    /**
+     * Show the outcome of a request and refresh the shop
+     * @param {Object} result - Result with success status and message
+     */
+    _onRequestResult(result) {
+        if (result.success) {
+            ui.notifications.info(result.message);
         } else {
-            // Send request to GM via socket
-            game.socket.emit(`module.${MODULE_ID}`, {
-                action: 'reserveRequest',
-                actorId: this._selectedActorId,
-                itemUuid: uuid
-            });
+            ui.notifications.warn(result.message);
         }
+        this.render(false);
+    }
 
+    /**
+     * Handle the outcome of a checkout: empty the cart and show the receipt
+     * @param {Object} result - Result returned by MarketStore.checkout
+     */
+    async _onCheckoutResult(result) {
+        if (!result.success) {
+            ui.notifications.warn(result.message);
+            this.render(false);
+            return;
+        }
+
+        this._cart = [];
+        ui.notifications.info(result.message);
         this.render(false);
+
+        const content = await renderTemplate(`modules/${MODULE_ID}/templates/receipt.hbs`, {
+            receipt: result.receipt
+        });
+
+        new Dialog({
+            title: game.i18n.localize('ARENA_MARKET.Cart.ReceiptTitle'),
+            content,
+            buttons: {
+                ok: {
+                    icon: '<i class="fas fa-check"></i>',
+                    label: 'OK'
+                }
+            }
+        }, {
+            classes: ['arena-market', 'arena-market-details'],
+            width: 400
+        }).render(true);
     }
 }
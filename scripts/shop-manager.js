@@ -3,8 +3,59 @@
  * Shop Manager - Admin configuration interface
  */
 
-import { MODULE_ID, AVAILABILITY_TYPES, getShopConfig, setShopConfig, isShopOpen, toggleShop, getActivityLog, clearActivityLog, deleteActivityLogEntry, getReservations, getCurrencyName } from './config.js';
-import { SocketHandler, SOCKET_EVENTS } from './socket-handler.js';
+import { MODULE_ID, AVAILABILITY_TYPES, ACTIVITY_TYPES, DEFAULT_SHOP_ICON, getShop, getShopList, getShopConfig, isShopOpen, getActivityLog, getActivityLogEntry, getReservations, getCurrencyName, getSession, startSession, RESERVATION_STATUS, RESTOCK_TRIGGERS, DISCOUNT_TARGETS, getDiscounts, getPresetList, getPreset, savePreset, deletePreset, DEFAULT_AUCTION } from './config.js';
+import { MarketStore } from './market-store.js';
+import { toCopper, toGold } from './currency.js';
+import { PRESET_MODES, buildShopPreset, validatePreset, findMissingEntries } from './shop-presets.js';
+import { EMPTY_LOG_FILTERS, filterActivityLog, getLogFieldValues, hasLogFilters, exportActivityLog } from './activity-log.js';
+import { SocketHandler, SOCKET_EVENTS, REQUEST_ACTIONS } from './socket-handler.js';
+import { Wishlist } from './wishlist.js';
+
+/**
+ * Activity log entries per page
+ */
+const LOG_PAGE_SIZE = 25;
+
+/**
+ * Bulk actions of the item configuration tab
+ */
+const BULK_ACTIONS = ['availability', 'quantity', 'priceMultiplier', 'clearPrice', 'include', 'exclude'];
+
+/**
+ * Item row filters that show every row
+ */
+const EMPTY_ITEM_FILTERS = {
+    search: '',
+    type: '',
+    rarity: '',
+    status: ''
+};
+
+/**
+ * Configuration given to items added to the shop
+ * @returns {Object} A new item configuration
+ */
+function defaultItemConfig() {
+    return {
+        availability: AVAILABILITY_TYPES.UNLIMITED,
+        quantity: 1,
+        customPrice: null,
+        currentStock: null,
+        auction: null
+    };
+}
+
+/**
+ * Format a timestamp for a datetime-local input, in local time
+ * @param {number|null} timestamp - Milliseconds since the epoch
+ * @returns {string} e.g. "2026-10-19T21:30", empty without a timestamp
+ */
+function toDateTimeInput(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
 
 /**
  * ShopManager - Admin interface for configuring the shop
@@ -14,9 +65,21 @@ export class ShopManager extends FormApplication {
 
     constructor(options = {}) {
         super(options);
+        this._shopId = null;
+        this._shopName = '';
+        this._shopIcon = DEFAULT_SHOP_ICON;
         this._selectedCompendiums = new Set();
+        this._selectedFolders = new Set();
         this._itemConfigs = {};
+        this._pricing = {};
+        this._restock = {};
         this._activeTab = null;
+        this._logFilters = { ...EMPTY_LOG_FILTERS };
+        this._logPage = 0;
+        this._itemFilters = { ...EMPTY_ITEM_FILTERS };
+        this._selectedItems = new Set();
+        this._stockEdits = new Set();
+        this._categoryItems = {};
         this._loadConfig();
     }
 
@@ -49,70 +112,256 @@ export class ShopManager extends FormApplication {
 
     /**
      * Open the admin interface
+     * @param {string} [shopId] - Shop to configure; defaults to the last one edited
+     */
+    static open(shopId = null) {
+        const instance = this.getInstance();
+        if (shopId && shopId !== instance._shopId) {
+            instance._shopId = shopId;
+            instance._loadConfig();
+        }
+        return instance.render(true);
+    }
+
+    /**
+     * Pick up stock changed outside the form (e.g. restocks) in the open admin window
+     */
+    static refreshStock() {
+        const instance = this._instance;
+        if (!instance?.rendered) return;
+        const items = getShopConfig(instance._shopId).items;
+        for (const [uuid, itemConfig] of Object.entries(instance._itemConfigs)) {
+            if (items[uuid] && !instance._stockEdits.has(uuid)) itemConfig.currentStock = items[uuid].currentStock;
+        }
+        instance.render(false);
+    }
+
+    /**
+     * Show new bids and closed auctions in the open admin window
      */
-    static open() {
-        return this.getInstance().render(true);
+    static refreshAuctions() {
+        if (this._instance?.rendered) this._instance.render(false);
     }
 
     /**
-     * Load existing configuration
+     * Load existing configuration of the selected shop (first shop if none selected)
      */
     _loadConfig() {
-        const config = getShopConfig();
+        if (!getShop(this._shopId)) {
+            this._shopId = getShopList()[0]?.id ?? null;
+        }
+        const config = getShopConfig(this._shopId);
+        this._shopName = config.name || '';
+        this._shopIcon = config.icon || DEFAULT_SHOP_ICON;
         this._selectedCompendiums = new Set(config.compendiums || []);
+        this._selectedFolders = new Set(config.folders || []);
         this._itemConfigs = foundry.utils.deepClone(config.items || {});
+        this._pricing = { ...config.pricing };
+        this._restock = { ...config.restock };
+        this._selectedItems = new Set();
+        this._stockEdits = new Set();
     }
 
     /**
      * Get data for template rendering
      */
     async getData() {
+        if (!getShop(this._shopId)) this._loadConfig();
         const compendiums = this._getItemCompendiums();
-        const shopOpen = isShopOpen();
+        const shopOpen = isShopOpen(this._shopId);
         const activityLog = getActivityLog();
-        const reservations = getReservations();
+        const filteredLog = filterActivityLog(activityLog, this._logFilters);
+        const logPageCount = Math.max(1, Math.ceil(filteredLog.length / LOG_PAGE_SIZE));
+        this._logPage = Math.min(this._logPage, logPageCount - 1);
+        const reservations = getReservations(this._shopId);
         const currencyName = getCurrencyName();
+        const demand = Wishlist.getDemand(this._shopId);
 
-        // Get items for selected compendiums
+        // Get items for selected compendiums and folders; items without a configuration are not sold
         const categorizedItems = {};
-        for (const compId of this._selectedCompendiums) {
-            const pack = game.packs.get(compId);
-            if (!pack) continue;
-
-            const items = await pack.getDocuments();
-            categorizedItems[compId] = {
-                name: pack.metadata.label,
-                packId: compId,
-                items: items.map(item => ({
-                    uuid: item.uuid,
-                    name: item.name,
-                    img: item.img,
-                    type: item.type,
-                    price: item.system?.price?.value || 0,
-                    priceUnit: item.system?.price?.denomination || 'gp',
-                    config: this._itemConfigs[item.uuid] || {
-                        availability: AVAILABILITY_TYPES.UNLIMITED,
-                        quantity: 1,
-                        customPrice: null,
-                        currentStock: null
-                    }
-                }))
+        const itemTypes = new Set();
+        const itemRarities = new Set();
+        this._categoryItems = {};
+        const categories = await MarketStore.getItemCategories(this._selectedCompendiums, this._selectedFolders);
+        for (const { id, name, isFolder, items } of categories) {
+            this._categoryItems[id] = items;
+            categorizedItems[id] = {
+                name,
+                categoryId: id,
+                isFolder,
+                items: items.map(item => {
+                    const rarity = item.system?.rarity || '';
+                    itemTypes.add(item.type);
+                    if (rarity) itemRarities.add(rarity);
+                    return {
+                        uuid: item.uuid,
+                        name: item.name,
+                        img: item.img,
+                        type: item.type,
+                        rarity,
+                        price: item.system?.price?.value || 0,
+                        priceUnit: item.system?.price?.denomination || 'gp',
+                        excluded: !this._itemConfigs[item.uuid],
+                        demand: demand[item.uuid] || 0,
+                        selected: this._selectedItems.has(item.uuid),
+                        config: this._itemConfigs[item.uuid] || defaultItemConfig(),
+                        auctionEndsAt: toDateTimeInput(this._itemConfigs[item.uuid]?.auction?.endsAt)
+                    };
+                })
             };
         }
 
+        // Configured items whose source was deleted (world items) or is no longer available
+        const missingItems = Object.entries(this._itemConfigs)
+            .filter(([uuid]) => MarketStore.isSourceMissing(uuid))
+            .map(([uuid, itemConfig]) => ({ uuid, name: itemConfig.name || uuid }));
+
         return {
+            shops: getShopList().map(shop => ({
+                id: shop.id,
+                name: shop.name,
+                icon: shop.icon,
+                open: shop.open,
+                selected: shop.id === this._shopId
+            })),
+            hasShop: !!this._shopId,
+            shopName: this._shopName,
+            shopIcon: this._shopIcon,
+            pricing: this._pricing,
+            restock: this._restock,
+            restockTriggers: RESTOCK_TRIGGERS,
             compendiums,
             selectedCompendiums: Array.from(this._selectedCompendiums),
+            folders: this._getItemFolders(),
+            selectedFolders: Array.from(this._selectedFolders),
             categorizedItems,
+            missingItems,
+            itemFilters: this._itemFilters,
+            itemTypes: [...itemTypes].sort(),
+            itemRarities: [...itemRarities].map(rarity => ({
+                value: rarity,
+                label: game.i18n.localize(CONFIG.DND5E?.itemRarity?.[rarity] ?? rarity)
+            })),
+            bulkActions: BULK_ACTIONS,
+            selectedCount: this._selectedItems.size,
             shopOpen,
-            activityLog: activityLog.slice(0, 50),
-            reservations,
+            session: getSession(),
+            activityLog: filteredLog.slice(this._logPage * LOG_PAGE_SIZE, (this._logPage + 1) * LOG_PAGE_SIZE),
+            log: {
+                filters: this._logFilters,
+                filtered: hasLogFilters(this._logFilters),
+                total: activityLog.length,
+                matches: filteredLog.length,
+                page: this._logPage + 1,
+                pageCount: logPageCount,
+                hasPrevious: this._logPage > 0,
+                hasNext: this._logPage < logPageCount - 1,
+                actors: getLogFieldValues(activityLog, 'actorName'),
+                players: getLogFieldValues(activityLog, 'playerName'),
+                items: getLogFieldValues(activityLog, 'itemName'),
+                types: Object.entries(ACTIVITY_TYPES).map(([type, { label }]) => ({
+                    type,
+                    label: game.i18n.localize(`ARENA_MARKET.${label}`)
+                }))
+            },
+            reservationQueues: this._getReservationQueues(reservations),
+            auctions: this._getAuctions(),
+            reservationCount: Object.values(reservations).reduce((sum, queue) => sum + queue.length, 0),
+            discounts: this._getDiscountRows(categorizedItems),
+            presets: getPresetList(),
             currencyName,
             availabilityTypes: AVAILABILITY_TYPES,
-            hasSelectedCompendiums: this._selectedCompendiums.size > 0
+            hasSelectedCompendiums: this._selectedCompendiums.size + this._selectedFolders.size > 0
         };
     }
 
+    /**
+     * Build the discount list of the selected shop
+     * @param {Object} categorizedItems - Items of the selected compendiums, by compendium
+     * @returns {Object[]} Array of discounts with target and status labels
+     */
+    _getDiscountRows(categorizedItems) {
+        const now = Date.now();
+        return getDiscounts(this._shopId).map(discount => {
+            let status = 'active';
+            if (discount.start && Date.parse(discount.start) > now) status = 'scheduled';
+            else if (!MarketStore.isDiscountActive(discount, now)) status = 'expired';
+
+            let targetLabel = game.i18n.localize(`ARENA_MARKET.Discounts.Targets.${discount.target}`);
+            if (discount.target === DISCOUNT_TARGETS.CATEGORY) {
+                targetLabel += `: ${categorizedItems[discount.value]?.name ?? discount.value}`;
+            } else if (discount.target === DISCOUNT_TARGETS.TYPE) {
+                targetLabel += `: ${discount.value}`;
+            } else if (discount.target === DISCOUNT_TARGETS.ITEM) {
+                targetLabel += `: ${fromUuidSync(discount.value, { strict: false })?.name ?? discount.value}`;
+            }
+
+            return {
+                ...discount,
+                targetLabel,
+                status,
+                statusLabel: game.i18n.localize(`ARENA_MARKET.Discounts.Status.${status}`)
+            };
+        });
+    }
+
+    /**
+     * Build the reservation queues of the selected shop, oldest reservation first
+     * @param {Object} reservations - itemUuid -> reservation entries
+     * @returns {Object[]} Array of queues with item name and entries
+     */
+    _getReservationQueues(reservations) {
+        return Object.entries(reservations)
+            .filter(([, entries]) => entries?.length)
+            .map(([uuid, entries]) => {
+                const item = fromUuidSync(uuid, { strict: false });
+                const stock = MarketStore.getAvailableStock(this._shopId, uuid);
+                return {
+                    uuid,
+                    name: item?.name ?? uuid,
+                    img: item?.img ?? 'icons/svg/item-bag.svg',
+                    stock,
+                    hasStock: stock !== null,
+                    entries: [...entries]
+                        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+                        .map((entry, index) => {
+                            const status = entry.status ?? RESERVATION_STATUS.PENDING;
+                            return {
+                                ...entry,
+                                position: index + 1,
+                                status,
+                                isPending: status === RESERVATION_STATUS.PENDING,
+                                statusLabel: game.i18n.localize(status === RESERVATION_STATUS.APPROVED ?
+                                    'ARENA_MARKET.Reservations.Approved' :
+                                    'ARENA_MARKET.Reservations.Pending')
+                            };
+                        })
+                };
+            });
+    }
+
+    /**
+     * Build the bid lists of the shop's auctions, newest bid first
+     * @returns {Object[]} Array of auctions with item name and status
+     */
+    _getAuctions() {
+        const config = getShopConfig(this._shopId);
+        return Object.keys(config.items).flatMap(uuid => {
+            const auction = MarketStore.getAuction(this._shopId, uuid, config);
+            if (!auction) return [];
+            const item = fromUuidSync(uuid, { strict: false });
+            return [{
+                uuid,
+                name: item?.name ?? uuid,
+                img: item?.img ?? 'icons/svg/item-bag.svg',
+                endsAt: auction.endsAt ? new Date(auction.endsAt).toISOString() : null,
+                closed: auction.closed,
+                statusLabel: MarketStore.getAuctionStatus(auction),
+                bids: [...auction.bids].reverse()
+            }];
+        });
+    }
+
     /**
      * Get all Item-type compendiums
      */
@@ -133,28 +382,152 @@ export class ShopManager extends FormApplication {
     activateListeners(html) {
         super.activateListeners(html);
 
+        // Shop picker
+        html.find('.shop-select').on('change', this._onShopSelect.bind(this));
+        html.find('.create-shop-btn').on('click', this._onCreateShop.bind(this));
+        html.find('.delete-shop-btn').on('click', this._onDeleteShop.bind(this));
+        html.find('.shop-name-input').on('change', (event) => {
+            this._shopName = event.currentTarget.value.trim();
+        });
+        html.find('.shop-icon-input').on('change', (event) => {
+            this._shopIcon = event.currentTarget.value.trim() || DEFAULT_SHOP_ICON;
+        });
+        html.find('.pricing-input').on('change', this._onPricingChange.bind(this));
+        html.find('.shop-restock-input').on('change', this._onShopRestockChange.bind(this));
+
         // Tab switching
         html.find('.tab-item').on('click', this._onTabClick.bind(this));
 
         // Compendium selection
         html.find('.compendium-checkbox').on('change', this._onCompendiumToggle.bind(this));
+        html.find('.folder-checkbox').on('change', this._onFolderToggle.bind(this));
+        html.find('.remove-missing-btn').on('click', this._onRemoveMissing.bind(this));
 
         // Item configuration
         html.find('.item-availability').on('change', this._onAvailabilityChange.bind(this));
         html.find('.item-quantity').on('change', this._onQuantityChange.bind(this));
+        html.find('.item-auction-input').on('change', this._onAuctionChange.bind(this));
         html.find('.item-custom-price').on('change', this._onCustomPriceChange.bind(this));
+        html.find('.item-dynamic-price').on('change', this._onDynamicPriceChange.bind(this));
+        html.find('.item-limit').on('change', this._onLimitChange.bind(this));
+        html.find('.item-restock-input').on('change', this._onItemRestockChange.bind(this));
+
+        // Item search, filters, selection and bulk actions
+        html.find('.item-filter').on('input change', this._onItemFilterChange.bind(this));
+        html.find('.item-select').on('change', this._onItemSelect.bind(this));
+        html.find('.select-visible-items').on('change', this._onSelectVisibleItems.bind(this));
+        html.find('.bulk-action').on('change', () => this._showBulkValue(html));
+        html.find('.apply-bulk-btn').on('click', this._onApplyBulk.bind(this));
+        this._applyItemFilters(html);
+        this._showBulkValue(html);
 
         // Shop toggle
         html.find('.toggle-shop-btn').on('click', this._onToggleShop.bind(this));
 
+        // New game session
+        html.find('.new-session-btn').on('click', this._onNewSession.bind(this));
+
         // Clear activity log
         html.find('.clear-log-btn').on('click', this._onClearLog.bind(this));
 
         // Delete individual log entry
         html.find('.delete-entry-btn').on('click', this._onDeleteEntry.bind(this));
 
+        // Refund a purchase
+        html.find('.refund-entry-btn').on('click', this._onRefundEntry.bind(this));
+
+        // Shop presets
+        html.find('.export-preset-btn').on('click', this._onExportPreset.bind(this));
+        html.find('.import-preset-btn').on('click', this._onImportPreset.bind(this));
+        html.find('.save-preset-btn').on('click', this._onSavePreset.bind(this));
+        html.find('.load-preset-btn').on('click', this._onLoadPreset.bind(this));
+        html.find('.delete-preset-btn').on('click', this._onDeletePreset.bind(this));
+
+        // Log search, filters, paging and export
+        html.find('.log-filter').on('change', this._onLogFilterChange.bind(this));
+        html.find('.reset-log-filters-btn').on('click', this._onResetLogFilters.bind(this));
+        html.find('.log-page-btn').on('click', this._onLogPage.bind(this));
+        html.find('.export-log-btn').on('click', this._onExportLog.bind(this));
+
+        // Reservation queue
+        html.find('.approve-reservation-btn').on('click', this._onReservationAction.bind(this, 'approve'));
+        html.find('.reject-reservation-btn').on('click', this._onReservationAction.bind(this, 'reject'));
+        html.find('.convert-reservation-btn').on('click', this._onReservationAction.bind(this, 'convert'));
+        html.find('.clear-reservations-btn').on('click', this._onClearReservations.bind(this));
+        html.find('.close-auction-btn').on('click', this._onCloseAuction.bind(this));
+
+        // Discounts and coupons
+        html.find('.create-discount-btn').on('click', this._onCreateDiscount.bind(this));
+        html.find('.delete-discount-btn').on('click', this._onDeleteDiscount.bind(this));
+
         // Save button
         html.find('.save-config-btn').on('click', this._onSaveConfig.bind(this));
+
+        // Stay on the same tab across re-renders
+        if (this._activeTab) this._showTab(this._activeTab);
+    }
+
+    /**
+     * Handle shop selection - unsaved changes to the previous shop are discarded
+     */
+    _onShopSelect(event) {
+        this._shopId = event.currentTarget.value;
+        this._loadConfig();
+        this.render(false);
+    }
+
+    /**
+     * Handle new shop creation
+     */
+    async _onCreateShop(event) {
+        event.preventDefault();
+
+        const name = await Dialog.prompt({
+            title: game.i18n.localize('ARENA_MARKET.Admin.CreateShop'),
+            content: `<div class="form-group">
+                <label>${game.i18n.localize('ARENA_MARKET.Admin.ShopName')}</label>
+                <input type="text" name="shopName" autofocus>
+            </div>`,
+            label: game.i18n.localize('ARENA_MARKET.Admin.CreateShop'),
+            callback: (html) => html.find('input[name="shopName"]').val().trim(),
+            rejectClose: false
+        });
+        if (!name) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.CREATE_SHOP, { name });
+        if (!result.success) {
+            ui.notifications.warn(result.message);
+            return;
+        }
+        this._shopId = result.shopId;
+        this._loadConfig();
+        this.render(false);
+    }
+
+    /**
+     * Handle shop deletion
+     */
+    async _onDeleteShop(event) {
+        event.preventDefault();
+        if (!this._shopId) return;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Admin.DeleteShop'),
+            content: `<p>${game.i18n.format('ARENA_MARKET.Admin.DeleteShopConfirm', { shop: this._shopName })}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+
+        if (!confirmed) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.DELETE_SHOP, { shopId: this._shopId });
+        if (!result.success) {
+            ui.notifications.warn(result.message);
+            return;
+        }
+        this._shopId = null;
+        this._loadConfig();
+        this.render(false);
     }
 
     /**
@@ -162,16 +535,112 @@ export class ShopManager extends FormApplication {
      */
     _onTabClick(event) {
         event.preventDefault();
-        const clickedTab = event.currentTarget;
-        const tabName = clickedTab.dataset.tab;
+        this._activeTab = event.currentTarget.dataset.tab;
+        this._showTab(this._activeTab);
+    }
+
+    /**
+     * Show a tab and its navigation item
+     * @param {string} tabName - The tab's data-tab value
+     */
+    _showTab(tabName) {
+        const html = this.element;
 
         // Update tab navigation
-        this.element.find('.tab-item').removeClass('active');
-        clickedTab.classList.add('active');
+        html.find('.tab-item').removeClass('active');
+        html.find(`.tab-item[data-tab="${tabName}"]`).addClass('active');
 
         // Update tab content
-        this.element.find('.tab-content').removeClass('active');
-        this.element.find(`.tab-content[data-tab="${tabName}"]`).addClass('active');
+        html.find('.tab-content').removeClass('active');
+        html.find(`.tab-content[data-tab="${tabName}"]`).addClass('active');
+    }
+
+    /**
+     * Handle log search or filter change
+     */
+    _onLogFilterChange(event) {
+        this._logFilters[event.currentTarget.dataset.filter] = event.currentTarget.value.trim();
+        this._logPage = 0;
+        this.render(false);
+    }
+
+    /**
+     * Handle log filters reset
+     */
+    _onResetLogFilters(event) {
+        event.preventDefault();
+        this._logFilters = { ...EMPTY_LOG_FILTERS };
+        this._logPage = 0;
+        this.render(false);
+    }
+
+    /**
+     * Handle log page navigation
+     */
+    _onLogPage(event) {
+        event.preventDefault();
+        this._logPage = Math.max(0, this._logPage + Number(event.currentTarget.dataset.delta));
+        this.render(false);
+    }
+
+    /**
+     * Handle log export - exports the entries matching the current filters
+     */
+    _onExportLog(event) {
+        event.preventDefault();
+        const entries = filterActivityLog(getActivityLog(), this._logFilters);
+        exportActivityLog(entries, event.currentTarget.dataset.format);
+    }
+
+    /**
+     * Get the world Item folders, with their path
+     * @returns {Object[]} Array of { id, label, path, selected }
+     */
+    _getItemFolders() {
+        return game.folders
+            .filter(folder => folder.type === 'Item')
+            .map(folder => ({
+                id: folder.id,
+                label: folder.name,
+                path: folder.ancestors.map(ancestor => ancestor.name).reverse().join(' / '),
+                selected: this._selectedFolders.has(folder.id)
+            }))
+            .sort((a, b) => `${a.path}/${a.label}`.localeCompare(`${b.path}/${b.label}`));
+    }
+
+    /**
+     * Handle world item folder toggle
+     */
+    async _onFolderToggle(event) {
+        const folderId = event.currentTarget.dataset.folder;
+
+        if (event.currentTarget.checked) {
+            this._selectedFolders.add(folderId);
+
+            // Auto-add all items of the folder with default config
+            const [category] = await MarketStore.getItemCategories([], [folderId]);
+            for (const item of category?.items ?? []) {
+                this._itemConfigs[item.uuid] ??= defaultItemConfig();
+            }
+        } else {
+            this._selectedFolders.delete(folderId);
+        }
+
+        this.render(false);
+    }
+
+    /**
+     * Handle removing configured items whose source no longer exists
+     */
+    _onRemoveMissing(event) {
+        event.preventDefault();
+        const uuid = event.currentTarget.dataset.uuid;
+        for (const missing of Object.keys(this._itemConfigs)) {
+            if ((!uuid || missing === uuid) && MarketStore.isSourceMissing(missing)) {
+                delete this._itemConfigs[missing];
+            }
+        }
+        this.render(false);
     }
 
     /**
@@ -190,12 +659,7 @@ export class ShopManager extends FormApplication {
                 const items = await pack.getDocuments();
                 for (const item of items) {
                     if (!this._itemConfigs[item.uuid]) {
-                        this._itemConfigs[item.uuid] = {
-                            availability: AVAILABILITY_TYPES.UNLIMITED,
-                            quantity: 1,
-                            customPrice: null,
-                            currentStock: null
-                        };
+                        this._itemConfigs[item.uuid] = defaultItemConfig();
                     }
                 }
             }
@@ -206,6 +670,133 @@ export class ShopManager extends FormApplication {
         this.render(false);
     }
 
+    /**
+     * Handle item search or filter change - rows are hidden in place, without re-rendering
+     */
+    _onItemFilterChange(event) {
+        this._itemFilters[event.currentTarget.dataset.filter] = event.currentTarget.value.trim();
+        this._applyItemFilters(this.element);
+    }
+
+    /**
+     * Hide the item rows, and compendiums, that do not match the item filters
+     * @param {jQuery} html - The rendered application
+     */
+    _applyItemFilters(html) {
+        const { search, type, rarity, status } = this._itemFilters;
+        const term = search.toLowerCase();
+        html.find('.category-section').each((i, section) => {
+            let visible = 0;
+            for (const row of section.querySelectorAll('.item-row')) {
+                const excluded = row.classList.contains('excluded');
+                const matches = (!term || row.dataset.name.toLowerCase().includes(term)) &&
+                    (!type || row.dataset.type === type) &&
+                    (!rarity || row.dataset.rarity === rarity) &&
+                    (!status || (status === 'excluded') === excluded);
+                row.style.display = matches ? '' : 'none';
+                if (matches) visible++;
+            }
+            section.style.display = visible > 0 ? '' : 'none';
+        });
+        html.find('.select-visible-items').prop('checked', false);
+    }
+
+    /**
+     * Handle a row's selection checkbox
+     */
+    _onItemSelect(event) {
+        const uuid = event.currentTarget.dataset.uuid;
+        if (event.currentTarget.checked) this._selectedItems.add(uuid);
+        else this._selectedItems.delete(uuid);
+        this._updateSelectionCount();
+    }
+
+    /**
+     * Handle select all - only rows left visible by the filters are selected
+     */
+    _onSelectVisibleItems(event) {
+        const checked = event.currentTarget.checked;
+        this.element.find('.item-row').each((i, row) => {
+            if (row.style.display === 'none' || row.closest('.category-section').style.display === 'none') return;
+            const checkbox = row.querySelector('.item-select');
+            checkbox.checked = checked;
+            if (checked) this._selectedItems.add(checkbox.dataset.uuid);
+            else this._selectedItems.delete(checkbox.dataset.uuid);
+        });
+        this._updateSelectionCount();
+    }
+
+    /**
+     * Show the number of selected items
+     */
+    _updateSelectionCount() {
+        this.element.find('.selection-count').text(this._selectedItems.size);
+    }
+
+    /**
+     * Show the value input matching the chosen bulk action
+     * @param {jQuery} html - The rendered application
+     */
+    _showBulkValue(html) {
+        const action = html.find('.bulk-action').val();
+        html.find('.bulk-value').each((i, el) => {
+            el.style.display = el.dataset.actions.split(' ').includes(action) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Handle a bulk action, on the selected rows or on a whole compendium
+     */
+    _onApplyBulk(event) {
+        event.preventDefault();
+        const { scope, category } = event.currentTarget.dataset;
+        const targets = scope === 'category' ?
+            (this._categoryItems[category] || []) :
+            Object.values(this._categoryItems).flat().filter(item => this._selectedItems.has(item.uuid));
+        if (targets.length === 0) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Bulk.NothingSelected'));
+            return;
+        }
+
+        const html = this.element;
+        const action = html.find('.bulk-action').val();
+        const number = parseFloat(html.find('.bulk-number').val());
+        if (['quantity', 'priceMultiplier'].includes(action) && !(number > 0)) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Bulk.InvalidValue'));
+            return;
+        }
+
+        for (const item of targets) {
+            const uuid = item.uuid;
+            if (action === 'exclude') {
+                delete this._itemConfigs[uuid];
+                continue;
+            }
+            this._itemConfigs[uuid] ??= defaultItemConfig();
+            const itemConfig = this._itemConfigs[uuid];
+            switch (action) {
+                case 'availability':
+                    itemConfig.availability = html.find('.bulk-availability').val();
+                    break;
+                case 'quantity':
+                    itemConfig.quantity = Math.round(number);
+                    itemConfig.currentStock = itemConfig.quantity;
+                    this._stockEdits.add(uuid);
+                    break;
+                case 'priceMultiplier':
+                    // Always from the item's own price, so applying twice gives the same result
+                    itemConfig.customPrice = toGold(toCopper(MarketStore.getItemPrice(item, null)) * number);
+                    break;
+                case 'clearPrice':
+                    itemConfig.customPrice = null;
+                    break;
+            }
+        }
+
+        ui.notifications.info(game.i18n.format('ARENA_MARKET.Bulk.Applied', { count: targets.length }));
+        this.render(false);
+    }
+
     /**
      * Handle availability type change
      */
@@ -218,12 +809,36 @@ export class ShopManager extends FormApplication {
         }
         this._itemConfigs[uuid].availability = value;
 
-        // Show/hide quantity field
+        // Show/hide quantity and auction fields
         const row = event.currentTarget.closest('.item-row');
         const qtyField = row.querySelector('.item-quantity');
         if (qtyField) {
             qtyField.closest('.quantity-wrapper').style.display =
-                value === AVAILABILITY_TYPES.UNLIMITED ? 'none' : 'flex';
+                value === AVAILABILITY_TYPES.UNLIMITED || value === AVAILABILITY_TYPES.AUCTION ? 'none' : 'flex';
+        }
+        const auctionFields = row.querySelector('.auction-wrapper');
+        if (auctionFields) {
+            auctionFields.style.display = value === AVAILABILITY_TYPES.AUCTION ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Handle a change to an item's auction settings
+     */
+    _onAuctionChange(event) {
+        const { uuid, field } = event.currentTarget.dataset;
+        const value = event.currentTarget.value;
+
+        if (!this._itemConfigs[uuid]) {
+            this._itemConfigs[uuid] = {};
+        }
+        const auction = this._itemConfigs[uuid].auction ??= { ...DEFAULT_AUCTION };
+        if (field === 'endsAt') {
+            auction.endsAt = value ? new Date(value).getTime() : null;
+        } else if (field === 'antiSnipe') {
+            auction.antiSnipe = Math.max(0, parseInt(value) || 0);
+        } else {
+            auction[field] = Math.max(0, parseFloat(value) || 0);
         }
     }
 
@@ -239,6 +854,7 @@ export class ShopManager extends FormApplication {
         }
         this._itemConfigs[uuid].quantity = value;
         this._itemConfigs[uuid].currentStock = value;
+        this._stockEdits.add(uuid);
     }
 
     /**
@@ -254,22 +870,118 @@ export class ShopManager extends FormApplication {
         this._itemConfigs[uuid].customPrice = value === '' ? null : parseFloat(value);
     }
 
+    /**
+     * Handle dynamic pricing opt-in of a single item
+     */
+    _onDynamicPriceChange(event) {
+        const uuid = event.currentTarget.dataset.uuid;
+
+        if (!this._itemConfigs[uuid]) {
+            this._itemConfigs[uuid] = {};
+        }
+        this._itemConfigs[uuid].dynamicPrice = event.currentTarget.checked;
+    }
+
+    /**
+     * Handle purchase limit change (per actor, per player or per session)
+     */
+    _onLimitChange(event) {
+        const uuid = event.currentTarget.dataset.uuid;
+        const field = event.currentTarget.dataset.limit;
+        const value = parseInt(event.currentTarget.value);
+
+        if (!this._itemConfigs[uuid]) {
+            this._itemConfigs[uuid] = {};
+        }
+        this._itemConfigs[uuid].limits ??= {};
+        this._itemConfigs[uuid].limits[field] = value > 0 ? value : null;
+    }
+
+    /**
+     * Handle restock rule change of a single item
+     */
+    _onItemRestockChange(event) {
+        const uuid = event.currentTarget.dataset.uuid;
+
+        if (!this._itemConfigs[uuid]) {
+            this._itemConfigs[uuid] = {};
+        }
+        this._itemConfigs[uuid].restock ??= { trigger: '', amount: null };
+        this._readRestockInput(this._itemConfigs[uuid].restock, event.currentTarget);
+    }
+
+    /**
+     * Handle the shop's default restock rule
+     */
+    _onShopRestockChange(event) {
+        this._readRestockInput(this._restock, event.currentTarget);
+    }
+
+    /**
+     * Copy a restock trigger or amount input into a rule
+     * @param {Object} rule - { trigger, amount }
+     * @param {HTMLElement} input - The changed input
+     */
+    _readRestockInput(rule, input) {
+        if (input.dataset.field === 'trigger') {
+            rule.trigger = input.value;
+        } else {
+            const value = parseInt(input.value);
+            rule.amount = value > 0 ? value : null;
+        }
+    }
+
+    /**
+     * Handle shop-wide dynamic pricing settings
+     */
+    _onPricingChange(event) {
+        const field = event.currentTarget.dataset.field;
+        this._pricing[field] = event.currentTarget.type === 'checkbox' ?
+            event.currentTarget.checked :
+            Math.max(0, parseFloat(event.currentTarget.value) || 0);
+    }
+
     /**
      * Handle shop toggle
      */
     async _onToggleShop(event) {
         event.preventDefault();
-        const newState = await toggleShop();
-        SocketHandler.emitShopStateChanged(newState);
-        this.render(false);
+        if (!this._shopId) return;
+        // Opening the shop also runs its restocks on open
+        const result = await SocketHandler.request(REQUEST_ACTIONS.TOGGLE_SHOP, { shopId: this._shopId });
+        if (!result.success) {
+            ui.notifications.warn(result.message);
+            return;
+        }
+        ShopManager.refreshStock();
 
         ui.notifications.info(
-            newState ?
+            result.open ?
                 game.i18n.localize('ARENA_MARKET.Shop.Open') :
                 game.i18n.localize('ARENA_MARKET.Shop.Closed')
         );
     }
 
+    /**
+     * Handle new session - resets per-session haggle attempts and limits, runs session restocks
+     */
+    async _onNewSession(event) {
+        event.preventDefault();
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Session.New'),
+            content: `<p>${game.i18n.localize('ARENA_MARKET.Session.NewConfirm')}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+        if (!confirmed) return;
+
+        const session = await startSession();
+        await SocketHandler.request(REQUEST_ACTIONS.RESTOCK, { trigger: RESTOCK_TRIGGERS.SESSION });
+        ShopManager.refreshStock();
+        ui.notifications.info(game.i18n.format('ARENA_MARKET.Session.Started', { number: session.number }));
+    }
+
     /**
      * Handle clear log
      */
@@ -284,10 +996,11 @@ export class ShopManager extends FormApplication {
             no: () => false
         });
 
-        if (confirmed) {
-            await clearActivityLog();
-            this.render(false);
-        }
+        if (!confirmed) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.CLEAR_LOG);
+        if (!result.success) ui.notifications.warn(result.message);
+        this.render(false);
     }
 
     /**
@@ -296,10 +1009,355 @@ export class ShopManager extends FormApplication {
     async _onDeleteEntry(event) {
         event.preventDefault();
         const entryId = event.currentTarget.dataset.entryId;
-        if (entryId) {
-            await deleteActivityLogEntry(entryId);
-            this.render(false);
+        if (!entryId) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.DELETE_LOG_ENTRY, { entryId });
+        if (!result.success) ui.notifications.warn(result.message);
+        this.render(false);
+    }
+
+    /**
+     * Handle approve/reject/convert on a reservation
+     * @param {string} action - 'approve', 'reject' or 'convert'
+     */
+    async _onReservationAction(action, event) {
+        event.preventDefault();
+        const { uuid, actorId } = event.currentTarget.dataset;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.RESERVATION_ACTION, {
+            shopId: this._shopId,
+            itemUuid: uuid,
+            actorId,
+            decision: action
+        });
+
+        if (result.success) {
+            ui.notifications.info(result.message);
+        } else {
+            ui.notifications.warn(result.message);
+        }
+        this.render(false);
+    }
+
+    /**
+     * Handle clearing every reservation of an item
+     */
+    async _onClearReservations(event) {
+        event.preventDefault();
+        const uuid = event.currentTarget.dataset.uuid;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Reservations.ClearAll'),
+            content: `<p>${game.i18n.localize('ARENA_MARKET.Reservations.ClearAllConfirm')}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+
+        if (!confirmed) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.RESERVATION_ACTION, {
+            shopId: this._shopId,
+            itemUuid: uuid,
+            decision: 'clear'
+        });
+        if (!result.success) ui.notifications.warn(result.message);
+        this.render(false);
+    }
+
+    /**
+     * Handle closing an auction before its end time
+     */
+    async _onCloseAuction(event) {
+        event.preventDefault();
+        const uuid = event.currentTarget.dataset.uuid;
+        const item = fromUuidSync(uuid, { strict: false });
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Auction.CloseNow'),
+            content: `<p>${game.i18n.format('ARENA_MARKET.Auction.CloseConfirm', { item: item?.name ?? uuid })}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+        if (!confirmed) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.CLOSE_AUCTION, { shopId: this._shopId, itemUuid: uuid });
+        if (result.success) {
+            ui.notifications.info(result.message);
+        } else {
+            ui.notifications.warn(result.message);
+        }
+        this.render(false);
+    }
+
+    /**
+     * Handle refund of a purchase entry
+     */
+    async _onRefundEntry(event) {
+        event.preventDefault();
+        const entryId = event.currentTarget.dataset.entryId;
+        const entry = getActivityLogEntry(entryId);
+        if (!entry) return;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Activity.RefundAction'),
+            content: `<p>${game.i18n.format('ARENA_MARKET.Activity.RefundConfirm', {
+                item: entry.itemName,
+                actor: entry.actorName,
+                price: entry.price,
+                currency: entry.currency
+            })}</p>`,
+            yes: () => true,
+            no: () => false
+        });
+        if (!confirmed) return;
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.REFUND, { entryId });
+        if (result.success) {
+            ui.notifications.info(result.message);
+        } else {
+            ui.notifications.warn(result.message);
+        }
+        ShopManager.refreshStock();
+    }
+
+    /**
+     * Handle new discount or coupon
+     */
+    async _onCreateDiscount(event) {
+        event.preventDefault();
+        if (!this._shopId) return;
+
+        // Offer the compendiums, item types and items of this shop as targets
+        const data = await this.getData();
+        const categories = Object.values(data.categorizedItems);
+        const items = categories.flatMap(c => c.items).sort((a, b) => a.name.localeCompare(b.name));
+        const content = await renderTemplate(`modules/${MODULE_ID}/templates/discount-form.hbs`, {
+            targets: Object.values(DISCOUNT_TARGETS),
+            categories: categories.map(c => ({ value: c.categoryId, label: c.name })),
+            types: [...new Set(items.map(item => item.type))].sort(),
+            items: items.map(item => ({ value: item.uuid, label: item.name }))
+        });
+
+        const discount = await Dialog.prompt({
+            title: game.i18n.localize('ARENA_MARKET.Discounts.Create'),
+            content,
+            label: game.i18n.localize('ARENA_MARKET.Discounts.Create'),
+            render: (html) => {
+                const showValue = () => {
+                    const target = html.find('[name="target"]').val();
+                    html.find('.discount-value').each((i, el) => {
+                        el.style.display = el.dataset.target === target ? '' : 'none';
+                    });
+                };
+                html.find('[name="target"]').on('change', showValue);
+                showValue();
+            },
+            callback: (html) => {
+                const fields = html.find('form')[0].elements;
+                const target = fields.target.value;
+                const start = fields.start.value;
+                const end = fields.end.value;
+                const maxUses = parseInt(fields.maxUses.value);
+                return {
+                    name: fields.name.value.trim(),
+                    percent: Math.min(100, Math.max(0, parseInt(fields.percent.value) || 0)),
+                    target,
+                    value: html.find(`.discount-value[data-target="${target}"] select`).val() ?? null,
+                    start: start ? new Date(start).toISOString() : new Date().toISOString(),
+                    end: end ? new Date(end).toISOString() : null,
+                    maxUses: maxUses > 0 ? maxUses : null,
+                    code: fields.code.value.trim().toUpperCase() || null
+                };
+            },
+            rejectClose: false
+        });
+        if (!discount) return;
+
+        if (!discount.name || discount.percent <= 0) {
+            ui.notifications.warn(game.i18n.localize('ARENA_MARKET.Notifications.DiscountInvalid'));
+            return;
+        }
+
+        const result = await SocketHandler.request(REQUEST_ACTIONS.ADD_DISCOUNT, { shopId: this._shopId, discount });
+        if (!result.success) ui.notifications.warn(result.message);
+        this.render(false);
+    }
+
+    /**
+     * Handle discount deletion
+     */
+    async _onDeleteDiscount(event) {
+        event.preventDefault();
+        const result = await SocketHandler.request(REQUEST_ACTIONS.DELETE_DISCOUNT, {
+            shopId: this._shopId,
+            discountId: event.currentTarget.dataset.discountId
+        });
+        if (!result.success) ui.notifications.warn(result.message);
+        this.render(false);
+    }
+
+    /**
+     * Handle preset export - downloads the saved configuration of the shop
+     */
+    async _onExportPreset(event) {
+        event.preventDefault();
+        if (!this._shopId) return;
+
+        const includeReservations = await Dialog.prompt({
+            title: game.i18n.localize('ARENA_MARKET.Presets.Export'),
+            content: `<div class="form-group">
+                <label>
+                    <input type="checkbox" name="includeReservations">
+                    ${game.i18n.localize('ARENA_MARKET.Presets.IncludeReservations')}
+                </label>
+            </div>`,
+            label: game.i18n.localize('ARENA_MARKET.Presets.Export'),
+            callback: (html) => html.find('input[name="includeReservations"]').is(':checked'),
+            rejectClose: false
+        });
+        if (includeReservations === null || includeReservations === undefined) return;
+
+        const preset = buildShopPreset(this._shopId, { includeReservations });
+        const filename = `arena-market-${preset.name.slugify({ strict: true }) || this._shopId}.json`;
+        foundry.utils.saveDataToFile(JSON.stringify(preset, null, 2), 'application/json', filename);
+    }
+
+    /**
+     * Handle preset import from a JSON file
+     */
+    async _onImportPreset(event) {
+        event.preventDefault();
+        if (!this._shopId) return;
+
+        const file = await Dialog.prompt({
+            title: game.i18n.localize('ARENA_MARKET.Presets.Import'),
+            content: `<div class="form-group">
+                <label>${game.i18n.localize('ARENA_MARKET.Presets.File')}</label>
+                <input type="file" name="presetFile" accept=".json,application/json">
+            </div>`,
+            label: game.i18n.localize('ARENA_MARKET.Presets.Import'),
+            callback: (html) => html.find('input[name="presetFile"]')[0].files[0] ?? null,
+            rejectClose: false
+        });
+        if (!file) return;
+
+        let preset;
+        try {
+            preset = JSON.parse(await foundry.utils.readTextFromFile(file));
+        } catch (err) {
+            ui.notifications.error(game.i18n.localize('ARENA_MARKET.Presets.InvalidJson'));
+            return;
         }
+
+        await this._applyPreset(preset);
+    }
+
+    /**
+     * Handle saving the shop's configuration as a named preset in this world
+     */
+    async _onSavePreset(event) {
+        event.preventDefault();
+        if (!this._shopId) return;
+
+        const name = await Dialog.prompt({
+            title: game.i18n.localize('ARENA_MARKET.Presets.Save'),
+            content: `<div class="form-group">
+                <label>${game.i18n.localize('ARENA_MARKET.Presets.Name')}</label>
+                <input type="text" name="presetName" value="${foundry.utils.escapeHTML(this._shopName)}" autofocus>
+            </div>`,
+            label: game.i18n.localize('ARENA_MARKET.Presets.Save'),
+            callback: (html) => html.find('input[name="presetName"]').val().trim(),
+            rejectClose: false
+        });
+        if (!name) return;
+
+        await savePreset(name, buildShopPreset(this._shopId));
+        ui.notifications.info(game.i18n.format('ARENA_MARKET.Presets.SavedAs', { name }));
+        this.render(false);
+    }
+
+    /**
+     * Handle loading the selected saved preset
+     */
+    async _onLoadPreset(event) {
+        event.preventDefault();
+        const record = getPreset(this.element.find('.preset-select').val());
+        if (!record || !this._shopId) return;
+        await this._applyPreset(record.preset);
+    }
+
+    /**
+     * Handle deleting the selected saved preset
+     */
+    async _onDeletePreset(event) {
+        event.preventDefault();
+        const record = getPreset(this.element.find('.preset-select').val());
+        if (!record) return;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('ARENA_MARKET.Presets.Delete'),
+            content: `<p>${game.i18n.format('ARENA_MARKET.Presets.DeleteConfirm', { name: record.name })}</p>`
+        });
+        if (!confirmed) return;
+
+        await deletePreset(record.id);
+        this.render(false);
+    }
+
+    /**
+     * Show what a preset brings and what is missing in this world, then merge or replace
+     * @param {Object} preset - The preset, rejected with a message if invalid
+     */
+    async _applyPreset(preset) {
+        const validation = validatePreset(preset);
+        if (!validation.success) {
+            ui.notifications.error(validation.message);
+            return;
+        }
+
+        const missing = findMissingEntries(preset);
+        const content = await renderTemplate(`modules/${MODULE_ID}/templates/preset-apply.hbs`, {
+            name: preset.name,
+            compendiumCount: preset.compendiums.length,
+            itemCount: Object.keys(preset.items).length,
+            reservationCount: Object.values(preset.reservations || {}).reduce((sum, queue) => sum + queue.length, 0),
+            missing
+        });
+
+        const mode = await Dialog.wait({
+            title: game.i18n.localize('ARENA_MARKET.Presets.ApplyTitle'),
+            content,
+            buttons: {
+                merge: {
+                    icon: '<i class="fas fa-code-merge"></i>',
+                    label: game.i18n.localize('ARENA_MARKET.Presets.Merge'),
+                    callback: () => PRESET_MODES.MERGE
+                },
+                replace: {
+                    icon: '<i class="fas fa-sync"></i>',
+                    label: game.i18n.localize('ARENA_MARKET.Presets.Replace'),
+                    callback: () => PRESET_MODES.REPLACE
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: game.i18n.localize('ARENA_MARKET.Admin.Cancel'),
+                    callback: () => null
+                }
+            },
+            default: 'merge',
+            close: () => null
+        });
+        if (!mode) return;
+
+        // One queued action on the active GM, so the import never interleaves with purchases
+        const imported = await SocketHandler.request(REQUEST_ACTIONS.APPLY_PRESET, { shopId: this._shopId, preset, mode });
+        if (!imported.success) {
+            ui.notifications.error(imported.message);
+            return;
+        }
+        this._loadConfig();
+        ui.notifications.info(game.i18n.format('ARENA_MARKET.Presets.Applied', imported));
+        this.render(false);
     }
 
     /**
@@ -312,25 +1370,45 @@ export class ShopManager extends FormApplication {
         const form = this.element.find('form')[0];
         const formData = new FormData(form);
 
+        if (!this._shopId) return;
+
         // Build config object
         const config = {
+            name: this._shopName || game.i18n.localize('ARENA_MARKET.Title'),
+            icon: this._shopIcon,
             compendiums: Array.from(this._selectedCompendiums),
-            items: {}
+            folders: Array.from(this._selectedFolders),
+            items: {},
+            pricing: this._pricing,
+            restock: this._restock
         };
 
         // Process each item
         for (const uuid of Object.keys(this._itemConfigs)) {
             const itemConfig = this._itemConfigs[uuid];
             config.items[uuid] = {
+                // Remembered so a deleted source item can still be named
+                name: fromUuidSync(uuid, { strict: false })?.name ?? itemConfig.name ?? null,
                 availability: itemConfig.availability || AVAILABILITY_TYPES.UNLIMITED,
                 quantity: itemConfig.quantity || 1,
                 customPrice: itemConfig.customPrice,
-                currentStock: itemConfig.currentStock ?? itemConfig.quantity ?? null
+                dynamicPrice: !!itemConfig.dynamicPrice,
+                limits: itemConfig.limits ?? null,
+                restock: itemConfig.restock ?? null,
+                auction: itemConfig.auction ?? null
             };
+            // Only stock set in this form; sales since it opened keep the rest current
+            if (this._stockEdits.has(uuid)) {
+                config.items[uuid].currentStock = itemConfig.currentStock ?? itemConfig.quantity ?? null;
+            }
         }
 
-        await setShopConfig(config);
-        SocketHandler.emitConfigUpdated();
+        // The active GM writes it, so it lands between purchases rather than over them
+        const result = await SocketHandler.request(REQUEST_ACTIONS.SAVE_SHOP, { shopId: this._shopId, config });
+        if (!result.success) {
+            ui.notifications.warn(result.message);
+            return;
+        }
 
         ui.notifications.info(game.i18n.localize('ARENA_MARKET.Notifications.ConfigSaved'));
         this.close();
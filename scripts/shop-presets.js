@@ -0,0 +1,288 @@
+/**
+ * Fuori D20: Arena Market
+ * Shop Presets - JSON export, validation and import of shop configurations
+ */
+
+import { AVAILABILITY_TYPES, RESTOCK_TRIGGERS, RESERVATION_STATUS, DEFAULT_PRICING, DEFAULT_AUCTION, getShopConfig, setShopConfig, getReservations, setReservations } from './config.js';
+
+/**
+ * Marker identifying an exported shop preset
+ */
+export const PRESET_FORMAT = 'fuorid20-arena-market.shop';
+
+/**
+ * Current preset version
+ */
+export const PRESET_VERSION = 1;
+
+/**
+ * How an imported preset is combined with the shop
+ */
+export const PRESET_MODES = {
+    MERGE: 'merge',
+    REPLACE: 'replace'
+};
+
+/**
+ * Item fields stored in a preset
+ */
+const PRESET_ITEM_FIELDS = ['availability', 'quantity', 'customPrice', 'dynamicPrice', 'limits', 'restock', 'auction'];
+
+/**
+ * Purchase limits an item may have
+ */
+const PRESET_LIMIT_FIELDS = ['actor', 'user', 'session'];
+
+/**
+ * Check that a value is a number of zero or more
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check that a value is empty or a whole number of at least one
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isOptionalCount(value) {
+    return value === null || (Number.isInteger(value) && value >= 1);
+}
+
+/**
+ * Check that a value is an object with only known keys
+ * @param {*} value - Value to check
+ * @param {string[]} keys - Allowed keys
+ * @returns {boolean}
+ */
+function isRecord(value, keys) {
+    return foundry.utils.getType(value) === 'Object' && Object.keys(value).every(key => keys.includes(key));
+}
+
+/**
+ * Check a restock rule: a trigger and an optional amount
+ * @param {*} rule - Rule to check
+ * @param {boolean} [optionalTrigger=false] - Whether an empty trigger is allowed (items follow the shop)
+ * @returns {boolean}
+ */
+function isValidRestock(rule, optionalTrigger = false) {
+    if (!isRecord(rule, ['trigger', 'amount'])) return false;
+    const trigger = optionalTrigger && !rule.trigger ? true : Object.values(RESTOCK_TRIGGERS).includes(rule.trigger);
+    return trigger && isOptionalCount(rule.amount ?? null);
+}
+
+/**
+ * Find the first field of an item configuration with a wrong type or out of range
+ * @param {Object} itemConfig - Item configuration from a preset
+ * @returns {string|null} The field's name, or null if every field is valid
+ */
+function findInvalidItemField(itemConfig) {
+    if (!Object.values(AVAILABILITY_TYPES).includes(itemConfig?.availability)) return 'availability';
+    const { quantity = null, customPrice = null, dynamicPrice = null, limits = null, restock = null, auction = null } = itemConfig;
+    if (!isOptionalCount(quantity)) return 'quantity';
+    if (customPrice !== null && !isNonNegative(customPrice)) return 'customPrice';
+    if (dynamicPrice !== null && typeof dynamicPrice !== 'boolean') return 'dynamicPrice';
+    if (limits !== null && !(isRecord(limits, PRESET_LIMIT_FIELDS) &&
+        PRESET_LIMIT_FIELDS.every(field => isOptionalCount(limits[field] ?? null)))) return 'limits';
+    if (restock !== null && !isValidRestock(restock, true)) return 'restock';
+    if (auction !== null && !isValidAuction(auction)) return 'auction';
+    return null;
+}
+
+/**
+ * Check an item's auction settings
+ * @param {*} auction - Settings to check
+ * @returns {boolean}
+ */
+function isValidAuction(auction) {
+    if (!isRecord(auction, Object.keys(DEFAULT_AUCTION))) return false;
+    const { startingBid, increment, endsAt, antiSnipe } = { ...DEFAULT_AUCTION, ...auction };
+    return isNonNegative(startingBid) && isNonNegative(increment) &&
+        (endsAt === null || isNonNegative(endsAt)) &&
+        Number.isInteger(antiSnipe) && antiSnipe >= 0;
+}
+
+/**
+ * Check a reservation queue entry
+ * @param {*} reservation - Entry to check
+ * @returns {boolean}
+ */
+function isValidReservation(reservation) {
+    if (foundry.utils.getType(reservation) !== 'Object') return false;
+    const { actorId, actorName, playerName = null, status, timestamp = null } = reservation;
+    return typeof actorId === 'string' && actorId !== '' &&
+        typeof actorName === 'string' &&
+        (playerName === null || typeof playerName === 'string') &&
+        Object.values(RESERVATION_STATUS).includes(status) &&
+        (timestamp === null || typeof timestamp === 'string');
+}
+
+/**
+ * Check the shop-wide dynamic pricing settings
+ * @param {*} pricing - Settings to check
+ * @returns {boolean}
+ */
+function isValidPricing(pricing) {
+    if (!isRecord(pricing, Object.keys(DEFAULT_PRICING))) return false;
+    const { enabled, floor, ceiling, stockSensitivity, demandSensitivity, halfLife } = { ...DEFAULT_PRICING, ...pricing };
+    return typeof enabled === 'boolean' &&
+        [floor, ceiling, stockSensitivity, demandSensitivity, halfLife].every(isNonNegative);
+}
+
+/**
+ * Build a preset from a shop's saved configuration
+ * @param {string} shopId - The shop's ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReservations=false] - Also export the reservation queues
+ * @returns {Object} The preset
+ */
+export function buildShopPreset(shopId, { includeReservations = false } = {}) {
+    const config = getShopConfig(shopId);
+    const items = Object.fromEntries(Object.entries(config.items).map(([itemUuid, itemConfig]) => [
+        itemUuid,
+        Object.fromEntries(PRESET_ITEM_FIELDS.map(field => [field, itemConfig[field] ?? null]))
+    ]));
+
+    const preset = {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        name: config.name,
+        exportedAt: new Date().toISOString(),
+        compendiums: [...config.compendiums],
+        folders: [...config.folders],
+        items,
+        pricing: { ...config.pricing },
+        restock: { ...config.restock }
+    };
+    if (includeReservations) preset.reservations = getReservations(shopId);
+    return preset;
+}
+
+/**
+ * Check that parsed JSON is a preset this version can import
+ * @param {*} data - Parsed JSON
+ * @returns {Object} Result with success status and message
+ */
+export function validatePreset(data) {
+    const invalid = (reason) => ({
+        success: false,
+        message: game.i18n.format('ARENA_MARKET.Presets.Invalid', { reason })
+    });
+
+    if (data?.format !== PRESET_FORMAT) return invalid(game.i18n.localize('ARENA_MARKET.Presets.WrongFormat'));
+    if (!(data.version <= PRESET_VERSION)) return invalid(game.i18n.format('ARENA_MARKET.Presets.WrongVersion', { version: data.version }));
+    if (!Array.isArray(data.compendiums) || data.compendiums.some(id => typeof id !== 'string')) {
+        return invalid('compendiums');
+    }
+    if (data.folders !== undefined && (!Array.isArray(data.folders) || data.folders.some(id => typeof id !== 'string'))) {
+        return invalid('folders');
+    }
+    if (foundry.utils.getType(data.items) !== 'Object') return invalid('items');
+
+    for (const [itemUuid, itemConfig] of Object.entries(data.items)) {
+        const field = findInvalidItemField(itemConfig);
+        if (field) return invalid(`${itemUuid} (${field})`);
+    }
+    if (data.pricing !== undefined && !isValidPricing(data.pricing)) return invalid('pricing');
+    if (data.restock !== undefined && !isValidRestock(data.restock)) return invalid('restock');
+    if (data.reservations !== undefined) {
+        if (foundry.utils.getType(data.reservations) !== 'Object') return invalid('reservations');
+        for (const [itemUuid, queue] of Object.entries(data.reservations)) {
+            if (!Array.isArray(queue) || !queue.every(isValidReservation)) return invalid(`reservations ${itemUuid}`);
+        }
+    }
+    return { success: true };
+}
+
+/**
+ * Find the compendiums, folders and items of a preset that do not exist in this world
+ * @param {Object} preset - A valid preset
+ * @returns {Object} { compendiums: string[], folders: string[], items: string[] }
+ */
+export function findMissingEntries(preset) {
+    return {
+        compendiums: preset.compendiums.filter(id => !game.packs.get(id)),
+        folders: (preset.folders || []).filter(id => game.folders.get(id)?.type !== 'Item'),
+        items: Object.keys(preset.items).filter(itemUuid => {
+            try {
+                return !fromUuidSync(itemUuid, { strict: false });
+            } catch {
+                return true;
+            }
+        })
+    };
+}
+
+/**
+ * Apply a preset to a shop (active GM only). Missing compendiums, folders and items are skipped;
+ * imported items start with full stock. An invalid preset changes nothing.
+ * Everything is worked out first, then the shop and its reservations are written once each.
+ * @param {string} shopId - The shop's ID
+ * @param {Object} preset - The preset
+ * @param {string} mode - One of PRESET_MODES
+ * @returns {Object} Result with success status and message, and counts of what was imported: { items, reservations }
+ */
+export async function applyShopPreset(shopId, preset, mode) {
+    const validation = validatePreset(preset);
+    if (!validation.success) return validation;
+
+    const missing = findMissingEntries(preset);
+    const current = getShopConfig(shopId);
+    const replace = mode === PRESET_MODES.REPLACE;
+
+    const compendiums = new Set(replace ? [] : current.compendiums);
+    for (const id of preset.compendiums) {
+        if (!missing.compendiums.includes(id)) compendiums.add(id);
+    }
+
+    const folders = new Set(replace ? [] : current.folders);
+    for (const id of preset.folders || []) {
+        if (!missing.folders.includes(id)) folders.add(id);
+    }
+
+    // Kept items carry no currentStock, so their stock in the ledger is left as it is
+    const items = replace ? {} : Object.fromEntries(Object.entries(current.items)
+        .map(([itemUuid, { currentStock, ...itemConfig }]) => [itemUuid, foundry.utils.deepClone(itemConfig)]));
+    let imported = 0;
+    for (const [itemUuid, itemConfig] of Object.entries(preset.items)) {
+        if (missing.items.includes(itemUuid)) continue;
+        const fields = Object.fromEntries(PRESET_ITEM_FIELDS.map(field => [field, itemConfig[field] ?? null]));
+        fields.quantity ||= 1;
+        fields.dynamicPrice = !!fields.dynamicPrice;
+        items[itemUuid] = {
+            ...fields,
+            currentStock: fields.availability === AVAILABILITY_TYPES.UNLIMITED ? null : fields.quantity
+        };
+        imported++;
+    }
+
+    // Reservations only come along when the file has them; merging appends to existing queues
+    const queues = {};
+    let reservations = 0;
+    if (preset.reservations) {
+        const existing = getReservations(shopId);
+        if (replace) {
+            for (const itemUuid of Object.keys(existing)) queues[itemUuid] = [];
+        }
+        for (const [itemUuid, queue] of Object.entries(preset.reservations)) {
+            if (!items[itemUuid]) continue;
+            const kept = replace ? [] : existing[itemUuid] || [];
+            const added = queue.filter(r => !kept.some(k => k.actorId === r.actorId));
+            queues[itemUuid] = [...kept, ...added];
+            reservations += added.length;
+        }
+    }
+
+    await setShopConfig(shopId, {
+        compendiums: [...compendiums],
+        folders: [...folders],
+        items,
+        pricing: { ...current.pricing, ...preset.pricing },
+        restock: { ...current.restock, ...preset.restock }
+    });
+    await setReservations(shopId, queues);
+
+    return { success: true, items: imported, reservations };
+}
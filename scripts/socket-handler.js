@@ -1,6 +1,6 @@
 /**
  * Fuori D20: Arena Market
- * Socket Handler - Real-time synchronization
+ * Socket Handler - Real-time synchronization and requests to the active GM
  */
 
 import { MODULE_ID } from './config.js';
@@ -12,22 +12,72 @@ export const SOCKET_EVENTS = {
     SHOP_STATE_CHANGED: 'shopStateChanged',
     ITEM_PURCHASED: 'itemPurchased',
     ITEM_RESERVED: 'itemReserved',
+    RESERVATION_CANCELLED: 'reservationCancelled',
+    ITEM_SOLD: 'itemSold',
+    GIFT_RECEIVED: 'giftReceived',
+    AUCTION_BID: 'auctionBid',
+    AUCTION_CLOSED: 'auctionClosed',
     CONFIG_UPDATED: 'configUpdated',
     REFRESH_UI: 'refreshUI'
 };
 
+/**
+ * Requests handled by the active GM
+ */
+export const REQUEST_ACTIONS = {
+    PURCHASE: 'purchase',
+    RESERVE: 'reserve',
+    CANCEL_RESERVATION: 'cancelReservation',
+    HAGGLE: 'haggle',
+    CHECKOUT: 'checkout',
+    SELL: 'sell',
+    RESERVATION_ACTION: 'reservationAction',
+    REFUND: 'refund',
+    RESTOCK: 'restock',
+    TREASURY_DEPOSIT: 'treasuryDeposit',
+    TREASURY_WITHDRAW: 'treasuryWithdraw',
+    PLACE_BID: 'placeBid',
+    CLOSE_AUCTION: 'closeAuction',
+    CREATE_SHOP: 'createShop',
+    DELETE_SHOP: 'deleteShop',
+    SAVE_SHOP: 'saveShop',
+    TOGGLE_SHOP: 'toggleShop',
+    APPLY_PRESET: 'applyPreset',
+    ADD_DISCOUNT: 'addDiscount',
+    DELETE_DISCOUNT: 'deleteDiscount',
+    DELETE_LOG_ENTRY: 'deleteLogEntry',
+    CLEAR_LOG: 'clearLog'
+};
+
+/**
+ * How long to wait for the GM's answer, in milliseconds
+ */
+const REQUEST_TIMEOUT = 30000;
+
 /**
  * SocketHandler manages real-time communication between clients
  */
 export class SocketHandler {
     static _callbacks = new Map();
+    static _requests = new Map();
+    static _requestHandler = null;
 
     /**
      * Initialize socket handling
      */
     static init() {
         game.socket.on(`module.${MODULE_ID}`, (data) => {
-            this._handleMessage(data);
+            if (data.type === 'request') this._onRequest(data);
+            else if (data.type === 'response') this._onResponse(data);
+            else this._handleMessage(data);
+        });
+
+        // Requests held by a GM who disconnects go to the next active GM
+        Hooks.on('userConnected', (user, connected) => {
+            if (!user.isGM || connected) return;
+            for (const [requestId, pending] of this._requests) {
+                if (pending.sentTo === user.id) this._sendRequest(requestId);
+            }
         });
         console.log(`${MODULE_ID} | Socket handler initialized`);
     }
@@ -90,31 +140,193 @@ export class SocketHandler {
         this._handleMessage({ event, payload });
     }
 
+    /**
+     * Set the function that processes requests when this client is the active GM
+     * @param {Function} handler - Async function receiving { action, payload, requestId, sender } and returning a result
+     */
+    static handleRequests(handler) {
+        this._requestHandler = handler;
+    }
+
+    /**
+     * Send a request to the active GM and wait for the result.
+     * Resolves with a failed result if no GM is connected or none answers in time.
+     * @param {string} action - One of REQUEST_ACTIONS
+     * @param {Object} payload - Request data
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Milliseconds to wait for the answer
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    static request(action, payload = {}, { timeout = REQUEST_TIMEOUT } = {}) {
+        const data = { type: 'request', action, payload, requestId: foundry.utils.randomID(), sender: game.user.id };
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this._settle(data.requestId, {
+                success: false,
+                message: game.i18n.localize('ARENA_MARKET.Notifications.RequestTimeout')
+            }), timeout);
+            this._requests.set(data.requestId, { data, resolve, timer, sentTo: null });
+            this._sendRequest(data.requestId);
+        });
+    }
+
+    /**
+     * Deliver a pending request to the current active GM
+     * @param {string} requestId - The request's ID
+     */
+    static _sendRequest(requestId) {
+        const pending = this._requests.get(requestId);
+        const activeGM = game.users.activeGM;
+        if (!activeGM) {
+            this._settle(requestId, {
+                success: false,
+                message: game.i18n.localize('ARENA_MARKET.Notifications.NoActiveGM')
+            });
+            return;
+        }
+
+        pending.sentTo = activeGM.id;
+        if (activeGM.isSelf) {
+            this._onRequest(pending.data);
+        } else {
+            game.socket.emit(`module.${MODULE_ID}`, pending.data);
+        }
+    }
+
+    /**
+     * Process a request and answer its sender (active GM only)
+     * @param {Object} data - Request message
+     */
+    static async _onRequest(data) {
+        if (!game.users.activeGM?.isSelf || !this._requestHandler) return;
+        const result = await this._requestHandler(data);
+
+        if (data.sender === game.user.id) {
+            this._settle(data.requestId, result);
+        } else {
+            game.socket.emit(`module.${MODULE_ID}`, {
+                type: 'response',
+                requestId: data.requestId,
+                result,
+                targetUser: data.sender
+            });
+        }
+    }
+
+    /**
+     * Handle the answer to one of this client's requests
+     * @param {Object} data - Response message
+     */
+    static _onResponse(data) {
+        if (data.targetUser === game.user.id) this._settle(data.requestId, data.result);
+    }
+
+    /**
+     * Resolve a pending request; later answers to it are ignored
+     * @param {string} requestId - The request's ID
+     * @param {Object} result - Result with success status and message
+     */
+    static _settle(requestId, result) {
+        const pending = this._requests.get(requestId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this._requests.delete(requestId);
+        pending.resolve(result);
+    }
+
     /**
      * Notify all clients that shop state changed
+     * @param {string} shopId - Shop ID
      * @param {boolean} isOpen - New shop state
      */
-    static emitShopStateChanged(isOpen) {
-        this.emit(SOCKET_EVENTS.SHOP_STATE_CHANGED, { isOpen });
+    static emitShopStateChanged(shopId, isOpen) {
+        this.emit(SOCKET_EVENTS.SHOP_STATE_CHANGED, { shopId, isOpen });
     }
 
     /**
      * Notify all clients that an item was purchased
+     * @param {string} shopId - Shop ID
      * @param {string} itemUuid - Item UUID
      * @param {number|null} newStock - New stock level (null for unlimited)
      */
-    static emitItemPurchased(itemUuid, newStock) {
-        this.emit(SOCKET_EVENTS.ITEM_PURCHASED, { itemUuid, newStock });
+    static emitItemPurchased(shopId, itemUuid, newStock) {
+        this.emit(SOCKET_EVENTS.ITEM_PURCHASED, { shopId, itemUuid, newStock });
+    }
+
+    /**
+     * Notify all clients that an item was sold back to the shop
+     * @param {string} shopId - Shop ID
+     * @param {string|null} itemUuid - Shop item UUID (null if not stocked)
+     * @param {number|null} newStock - New stock level (null if unchanged)
+     */
+    static emitItemSold(shopId, itemUuid, newStock) {
+        this.emit(SOCKET_EVENTS.ITEM_SOLD, { shopId, itemUuid, newStock });
+    }
+
+    /**
+     * Notify the owner of an actor that it received a gift
+     * @param {string} recipientId - The receiving actor's ID
+     * @param {string} senderName - Name of the buying actor
+     * @param {string[]} items - Names of the items, with quantities
+     */
+    static emitGiftReceived(recipientId, senderName, items) {
+        this.emit(SOCKET_EVENTS.GIFT_RECEIVED, { recipientId, senderName, items });
+    }
+
+    /**
+     * Notify all clients of a new top bid
+     * @param {string} shopId - Shop ID
+     * @param {string} itemUuid - Item UUID
+     * @param {Object} result - Result of MarketStore.placeBid
+     */
+    static emitAuctionBid(shopId, itemUuid, { bid, itemName, outbidActorId, endsAt, extended }) {
+        this.emit(SOCKET_EVENTS.AUCTION_BID, {
+            shopId,
+            itemUuid,
+            itemName,
+            actorName: bid.actorName,
+            amount: bid.amount,
+            outbidActorId,
+            endsAt,
+            extended
+        });
+    }
+
+    /**
+     * Notify all clients that an auction closed
+     * @param {string} shopId - Shop ID
+     * @param {string} itemUuid - Item UUID
+     * @param {Object} result - Result of MarketStore.closeAuction
+     */
+    static emitAuctionClosed(shopId, itemUuid, { winner, itemName }) {
+        this.emit(SOCKET_EVENTS.AUCTION_CLOSED, {
+            shopId,
+            itemUuid,
+            itemName,
+            winnerId: winner?.actorId ?? null,
+            winnerName: winner?.actorName ?? null,
+            amount: winner?.amount ?? null
+        });
     }
 
     /**
      * Notify GM that an item was reserved
+     * @param {string} shopId - Shop ID
      * @param {string} itemUuid - Item UUID
      * @param {string} actorName - Actor name
      * @param {string} playerName - Player name
      */
-    static emitItemReserved(itemUuid, actorName, playerName) {
-        this.emit(SOCKET_EVENTS.ITEM_RESERVED, { itemUuid, actorName, playerName });
+    static emitItemReserved(shopId, itemUuid, actorName, playerName) {
+        this.emit(SOCKET_EVENTS.ITEM_RESERVED, { shopId, itemUuid, actorName, playerName });
+    }
+
+    /**
+     * Notify all clients that a reservation was cancelled
+     * @param {string} shopId - Shop ID
+     * @param {string} itemUuid - Item UUID
+     * @param {string} actorName - Actor name
+     */
+    static emitReservationCancelled(shopId, itemUuid, actorName) {
+        this.emit(SOCKET_EVENTS.RESERVATION_CANCELLED, { shopId, itemUuid, actorName });
     }
 
     /**
@@ -0,0 +1,289 @@
+/**
+ * Fuori D20: Arena Market
+ * Transaction Queue - Serialized processing of market requests on the active GM
+ */
+
+import { MODULE_ID, getShop, createShop, deleteShop, setShopConfig, toggleShop, addDiscount, deleteDiscount, deleteActivityLogEntry, clearActivityLog, getReservations, clearItemReservations, RESTOCK_TRIGGERS } from './config.js';
+import { MarketStore } from './market-store.js';
+import { SocketHandler, REQUEST_ACTIONS } from './socket-handler.js';
+import { Ledger } from './ledger.js';
+import { Treasury } from './treasury.js';
+import { applyShopPreset } from './shop-presets.js';
+
+/**
+ * Requests only a GM may send
+ */
+const GM_ACTIONS = [
+    REQUEST_ACTIONS.RESERVATION_ACTION, REQUEST_ACTIONS.REFUND, REQUEST_ACTIONS.RESTOCK, REQUEST_ACTIONS.CLOSE_AUCTION,
+    REQUEST_ACTIONS.CREATE_SHOP, REQUEST_ACTIONS.DELETE_SHOP, REQUEST_ACTIONS.SAVE_SHOP, REQUEST_ACTIONS.TOGGLE_SHOP,
+    REQUEST_ACTIONS.APPLY_PRESET, REQUEST_ACTIONS.ADD_DISCOUNT, REQUEST_ACTIONS.DELETE_DISCOUNT,
+    REQUEST_ACTIONS.DELETE_LOG_ENTRY, REQUEST_ACTIONS.CLEAR_LOG
+];
+
+/**
+ * TransactionQueue makes the active GM the only client that changes funds, stock and reservations.
+ * Requests run one at a time in arrival order, so stock and funds are checked and written
+ * without another transaction interleaving. The ledger remembers handled requests, so a request
+ * resent after a GM disconnected never runs twice.
+ */
+export class TransactionQueue {
+    static _tail = Promise.resolve();
+
+    /**
+     * Whether this client processes requests
+     * @returns {boolean}
+     */
+    static get isProcessor() {
+        return !!game.users.activeGM?.isSelf;
+    }
+
+    /**
+     * Run a task after every task queued before it
+     * @param {Function} task - Async function
+     * @returns {Promise<*>} The task's result
+     */
+    static enqueue(task) {
+        const run = this._tail.then(() => task());
+        this._tail = run.catch(err => console.error(`${MODULE_ID} | Queued transaction failed:`, err));
+        return run;
+    }
+
+    /**
+     * Queue a request received through SocketHandler.request (active GM only)
+     * @param {Object} data - Request with action, payload, requestId and sender
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    static handleRequest(data) {
+        return this.enqueue(() => this._processOnce(data));
+    }
+
+    /**
+     * Close the auctions whose end time has passed (active GM only)
+     */
+    static async closeExpiredAuctions() {
+        if (!this.isProcessor) return;
+        const closed = await this.enqueue(() => MarketStore.closeExpiredAuctions());
+        for (const result of closed) {
+            SocketHandler.emitAuctionClosed(result.shopId, result.itemUuid, result);
+        }
+    }
+
+    /**
+     * Process a request unless the ledger shows it was already handled
+     * @param {Object} data - Request data
+     * @returns {Object} Result with success status and message
+     */
+    static async _processOnce(data) {
+        const record = Ledger.getRequest(data.requestId);
+        if (record?.result) return record.result;
+        if (record) {
+            // A GM started this request and disconnected before finishing it
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.RequestInterrupted') };
+        }
+
+        await Ledger.setRequest(data.requestId, {});
+        let result;
+        try {
+            result = await this._process(data);
+        } catch (err) {
+            console.error(`${MODULE_ID} | Failed to process ${data.action}:`, err);
+            result = { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.RequestFailed') };
+        }
+        await Ledger.setRequest(data.requestId, { result });
+        return result;
+    }
+
+    /**
+     * Tell the recipient's owner about a gift purchase
+     * @param {string} actorId - The buying actor's ID
+     * @param {string|null} recipientId - The receiving actor's ID
+     * @param {Object} receipt - Checkout receipt
+     */
+    static _notifyGift(actorId, recipientId, receipt) {
+        if (!recipientId || recipientId === actorId) return;
+        const items = receipt.lines.map(line => line.quantity > 1 ? `${line.name} ×${line.quantity}` : line.name);
+        SocketHandler.emitGiftReceived(recipientId, receipt.actorName, items);
+    }
+
+    /**
+     * Hand out the stock of every reservation item of a shop to its queue
+     * @param {string} shopId - The shop's ID
+     */
+    static async _assignReservations(shopId) {
+        for (const uuid of Object.keys(getReservations(shopId))) {
+            await MarketStore.assignReservationStock(shopId, uuid);
+        }
+    }
+
+    /**
+     * Run a request and notify every client of what changed
+     * @param {Object} data - Request data
+     * @returns {Object} Result with success status and message
+     */
+    static async _process({ action, payload, sender }) {
+        const user = game.users.get(sender);
+        if (GM_ACTIONS.includes(action) && !user?.isGM) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.GMOnly') };
+        }
+
+        // Players may only act as characters they own
+        const { shopId, actorId, itemUuid } = payload;
+        if (!user || (!user.isGM && !game.actors.get(actorId)?.testUserPermission(user, 'OWNER'))) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Notifications.NotOwner') };
+        }
+
+        let result;
+        switch (action) {
+            case REQUEST_ACTIONS.PURCHASE:
+                result = await MarketStore.purchaseItem(shopId, actorId, itemUuid, payload.quantity, payload.couponCode,
+                    !!payload.useTreasury, payload.recipientId);
+                if (result.success) {
+                    SocketHandler.emitItemPurchased(shopId, itemUuid, result.newStock);
+                    this._notifyGift(actorId, payload.recipientId, result.receipt);
+                }
+                return result;
+
+            case REQUEST_ACTIONS.RESERVE:
+                result = await MarketStore.reserveItem(shopId, actorId, itemUuid);
+                if (result.success) {
+                    const actor = game.actors.get(actorId);
+                    SocketHandler.emitItemReserved(shopId, itemUuid, actor?.name, game.users.get(sender)?.name);
+                }
+                return result;
+
+            case REQUEST_ACTIONS.CANCEL_RESERVATION:
+                result = await MarketStore.cancelReservation(shopId, actorId, itemUuid);
+                if (result.success) {
+                    const actor = game.actors.get(actorId);
+                    SocketHandler.emitReservationCancelled(shopId, itemUuid, actor?.name);
+                }
+                return result;
+
+            case REQUEST_ACTIONS.HAGGLE:
+                return MarketStore.haggle(shopId, actorId, itemUuid, payload.skill);
+
+            case REQUEST_ACTIONS.CHECKOUT:
+                result = await MarketStore.checkout(shopId, actorId, payload.cart, {
+                    couponCode: payload.couponCode,
+                    useTreasury: !!payload.useTreasury,
+                    recipientId: payload.recipientId
+                });
+                if (result.success) {
+                    for (const uuid of new Set(payload.cart.map(line => line.uuid))) {
+                        SocketHandler.emitItemPurchased(shopId, uuid, result.stockChanges[uuid] ?? null);
+                    }
+                    this._notifyGift(actorId, payload.recipientId, result.receipt);
+                }
+                return result;
+
+            case REQUEST_ACTIONS.SELL:
+                result = await MarketStore.sellItem(shopId, actorId, payload.itemId);
+                if (result.success) SocketHandler.emitItemSold(shopId, result.itemUuid, result.newStock);
+                return result;
+
+            case REQUEST_ACTIONS.RESERVATION_ACTION:
+                if (payload.decision === 'clear') {
+                    await clearItemReservations(shopId, itemUuid);
+                    result = { success: true };
+                } else if (payload.decision === 'approve') {
+                    result = await MarketStore.approveReservation(shopId, itemUuid, actorId);
+                } else if (payload.decision === 'reject') {
+                    result = await MarketStore.rejectReservation(shopId, itemUuid, actorId);
+                } else {
+                    result = await MarketStore.fulfilReservation(shopId, itemUuid, actorId);
+                    if (result.success) SocketHandler.emitItemPurchased(shopId, itemUuid, result.newStock);
+                }
+                if (result.success) SocketHandler.emitRefreshUI();
+                return result;
+
+            case REQUEST_ACTIONS.REFUND:
+                result = await MarketStore.refundPurchase(payload.entryId);
+                if (result.success) SocketHandler.emitRefreshUI();
+                return result;
+
+            case REQUEST_ACTIONS.RESTOCK: {
+                const restocked = shopId ?
+                    await MarketStore.restockShop(shopId, payload.trigger) :
+                    await MarketStore.restockAll(payload.trigger);
+                SocketHandler.emitRefreshUI();
+                return { success: true, restocked };
+            }
+
+            case REQUEST_ACTIONS.PLACE_BID:
+                result = await MarketStore.placeBid(shopId, actorId, itemUuid, payload.amount);
+                if (result.success) SocketHandler.emitAuctionBid(shopId, itemUuid, result);
+                return result;
+
+            case REQUEST_ACTIONS.CLOSE_AUCTION:
+                result = await MarketStore.closeAuction(shopId, itemUuid);
+                if (result.success) SocketHandler.emitAuctionClosed(shopId, itemUuid, result);
+                return result;
+
+            case REQUEST_ACTIONS.TREASURY_DEPOSIT:
+            case REQUEST_ACTIONS.TREASURY_WITHDRAW:
+                result = action === REQUEST_ACTIONS.TREASURY_DEPOSIT ?
+                    await Treasury.deposit(actorId, payload.amount) :
+                    await Treasury.withdraw(actorId, payload.amount);
+                if (result.success) SocketHandler.emitRefreshUI();
+                return result;
+
+            case REQUEST_ACTIONS.CREATE_SHOP: {
+                const shop = await createShop(payload.name);
+                SocketHandler.emitConfigUpdated();
+                return { success: true, shopId: shop.id };
+            }
+
+            case REQUEST_ACTIONS.DELETE_SHOP:
+                await deleteShop(shopId);
+                SocketHandler.emitConfigUpdated();
+                return { success: true };
+
+            case REQUEST_ACTIONS.SAVE_SHOP:
+                if (!getShop(shopId)) return { success: false, message: 'Shop not found' };
+                await setShopConfig(shopId, payload.config);
+                // Reservation items that now have stock go to their queue first
+                await this._assignReservations(shopId);
+                SocketHandler.emitConfigUpdated();
+                return { success: true };
+
+            case REQUEST_ACTIONS.TOGGLE_SHOP: {
+                if (!getShop(shopId)) return { success: false, message: 'Shop not found' };
+                const open = await toggleShop(shopId);
+                if (open) await MarketStore.restockShop(shopId, RESTOCK_TRIGGERS.OPEN);
+                SocketHandler.emitShopStateChanged(shopId, open);
+                return { success: true, open };
+            }
+
+            case REQUEST_ACTIONS.APPLY_PRESET:
+                if (!getShop(shopId)) return { success: false, message: 'Shop not found' };
+                result = await applyShopPreset(shopId, payload.preset, payload.mode);
+                if (result.success) {
+                    await this._assignReservations(shopId);
+                    SocketHandler.emitConfigUpdated();
+                }
+                return result;
+
+            case REQUEST_ACTIONS.ADD_DISCOUNT:
+            case REQUEST_ACTIONS.DELETE_DISCOUNT:
+                if (action === REQUEST_ACTIONS.ADD_DISCOUNT) {
+                    await addDiscount(shopId, payload.discount);
+                } else {
+                    await deleteDiscount(shopId, payload.discountId);
+                }
+                SocketHandler.emitRefreshUI();
+                return { success: true };
+
+            case REQUEST_ACTIONS.DELETE_LOG_ENTRY:
+            case REQUEST_ACTIONS.CLEAR_LOG:
+                if (action === REQUEST_ACTIONS.DELETE_LOG_ENTRY) {
+                    await deleteActivityLogEntry(payload.entryId);
+                } else {
+                    await clearActivityLog();
+                }
+                return { success: true };
+
+            default:
+                return { success: false, message: `Unknown request: ${action}` };
+        }
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Fuori D20: Arena Market
+ * Treasury Config - Settings menu for the party fund
+ */
+
+import { MODULE_ID, getTreasuryConfig, setTreasuryConfig } from './config.js';
+import { Treasury } from './treasury.js';
+import { getWalletCopper, toGold } from './currency.js';
+
+/**
+ * TreasuryConfig - GM form choosing the group actor and each member's spending rights
+ */
+export class TreasuryConfig extends FormApplication {
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'arena-market-treasury-config',
+            title: game.i18n.localize('ARENA_MARKET.Settings.Treasury.Name'),
+            template: `modules/${MODULE_ID}/templates/treasury-config.hbs`,
+            classes: ['arena-market', 'arena-market-treasury-config'],
+            width: 460,
+            height: 'auto',
+            closeOnSubmit: true
+        });
+    }
+
+    /**
+     * Get data for template rendering
+     */
+    getData() {
+        const config = getTreasuryConfig();
+        const treasury = Treasury.getActor();
+        return {
+            groups: game.actors.filter(actor => actor.type === 'group').map(actor => ({
+                id: actor.id,
+                name: actor.name,
+                selected: actor.id === config.actorId
+            })),
+            treasury: treasury ? { name: treasury.name, funds: toGold(getWalletCopper(treasury)) } : null,
+            members: Treasury.getMembers().map(actor => {
+                const allowance = Treasury.getAllowance(actor);
+                return {
+                    id: actor.id,
+                    name: actor.name,
+                    img: actor.img,
+                    canSpend: allowance.canSpend,
+                    cap: allowance.cap,
+                    spent: allowance.spent
+                };
+            })
+        };
+    }
+
+    /**
+     * Activate event listeners
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Show the members of the newly chosen group
+        html.find('select[name="actorId"]').on('change', async (event) => {
+            await setTreasuryConfig({ actorId: event.currentTarget.value || null });
+            this.render(false);
+        });
+    }
+
+    /**
+     * Save the treasury actor and member rights
+     */
+    async _updateObject(event, formData) {
+        const data = foundry.utils.expandObject(formData);
+        const members = Object.fromEntries(Object.entries(data.members || {}).map(([actorId, rights]) => [actorId, {
+            canSpend: !!rights.canSpend,
+            cap: Number(rights.cap) > 0 ? Number(rights.cap) : null
+        }]));
+        await setTreasuryConfig({ actorId: data.actorId || null, members });
+    }
+}
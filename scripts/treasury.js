@@ -0,0 +1,188 @@
+/**
+ * Fuori D20: Arena Market
+ * Treasury - Party fund backed by a dnd5e group actor
+ */
+
+import { getTreasuryConfig, getTreasurySpent, addTreasurySpent, addActivityLog, getCurrencyName } from './config.js';
+import { MarketStore } from './market-store.js';
+import { toCopper, toGold, getCurrency, getWalletCopper, pay, receive } from './currency.js';
+
+/**
+ * Treasury lets the members of a group actor spend the group's coins.
+ * The GM chooses who may spend and how much per session.
+ */
+export class Treasury {
+
+    /**
+     * The group actor holding the party fund
+     * @returns {Actor|null} The group actor, or null if no treasury is set up
+     */
+    static getActor() {
+        const actor = game.actors.get(getTreasuryConfig().actorId);
+        return actor?.type === 'group' ? actor : null;
+    }
+
+    /**
+     * Get the actors belonging to the treasury's group
+     * @returns {Actor[]} Group members
+     */
+    static getMembers() {
+        const members = this.getActor()?.system?.members ?? [];
+        return Array.from(members, member => member.actor ?? member).filter(actor => actor instanceof Actor);
+    }
+
+    /**
+     * Check whether an actor belongs to the treasury's group
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    static isMember(actor) {
+        return !!actor && this.getMembers().some(member => member.id === actor.id);
+    }
+
+    /**
+     * Get how much a member may still take out of the fund this session.
+     * Members may only spend once the GM allows them to.
+     * @param {Actor} actor - The member
+     * @returns {Object} { canSpend, cap, spent, remaining }; cap and remaining are null when unlimited
+     */
+    static getAllowance(actor) {
+        if (!this.isMember(actor)) return { canSpend: false, cap: null, spent: 0, remaining: 0 };
+        const rights = getTreasuryConfig().members[actor.id] ?? {};
+        const cap = rights.cap > 0 ? rights.cap : null;
+        const spent = getTreasurySpent(actor.id);
+        return {
+            canSpend: !!rights.canSpend,
+            cap,
+            spent,
+            remaining: cap === null ? null : toGold(Math.max(0, toCopper(cap) - toCopper(spent)))
+        };
+    }
+
+    /**
+     * Get how much a member can spend right now, limited by both the fund and the cap
+     * @param {Actor} actor - The member
+     * @returns {number} Spendable amount in copper pieces
+     */
+    static getSpendableCopper(actor) {
+        const allowance = this.getAllowance(actor);
+        if (!allowance.canSpend) return 0;
+        const fund = getWalletCopper(this.getActor());
+        return allowance.remaining === null ? fund : Math.min(fund, toCopper(allowance.remaining));
+    }
+
+    /**
+     * Check that a member may take an amount out of the fund
+     * @param {Actor} actor - The member
+     * @param {number} amount - Amount in gold
+     * @returns {Object} Result with success status and message
+     */
+    static checkSpend(actor, amount) {
+        const treasury = this.getActor();
+        if (!treasury) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Treasury.NotConfigured') };
+        }
+        const allowance = this.getAllowance(actor);
+        if (!allowance.canSpend) {
+            return { success: false, message: game.i18n.format('ARENA_MARKET.Treasury.NotAllowed', { actor: actor?.name }) };
+        }
+        if (allowance.remaining !== null && toCopper(amount) > toCopper(allowance.remaining)) {
+            return {
+                success: false,
+                message: game.i18n.format('ARENA_MARKET.Treasury.CapReached', { remaining: allowance.remaining, cap: allowance.cap })
+            };
+        }
+        if (getWalletCopper(treasury) < toCopper(amount)) {
+            return { success: false, message: game.i18n.format('ARENA_MARKET.Treasury.NotEnoughFunds', { name: treasury.name }) };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Count an amount spent by a member from the fund this session
+     * @param {string} actorId - The member's ID
+     * @param {number} amount - Amount in gold (negative to give back)
+     */
+    static async recordSpending(actorId, amount) {
+        await addTreasurySpent(actorId, amount);
+    }
+
+    /**
+     * Move coins from a member into the fund (GM only)
+     * @param {string} actorId - The member's ID
+     * @param {number} amount - Amount in gold
+     * @returns {Object} Result with success status and message
+     */
+    static async deposit(actorId, amount) {
+        const actor = game.actors.get(actorId);
+        const treasury = this.getActor();
+        const copper = toCopper(amount);
+        if (!treasury || !this.isMember(actor)) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Treasury.NotConfigured') };
+        }
+        if (copper <= 0) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Treasury.InvalidAmount') };
+        }
+
+        const actorCurrency = pay(getCurrency(actor), copper);
+        if (!actorCurrency) {
+            return { success: false, message: game.i18n.format('ARENA_MARKET.Treasury.NotEnoughCoins', { actor: actor.name }) };
+        }
+        await actor.update({ 'system.currency': actorCurrency });
+        await treasury.update({ 'system.currency': receive(getCurrency(treasury), copper) });
+
+        await this._log('treasury-deposit', actor, treasury, toGold(copper));
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Treasury.Deposited', { actor: actor.name, amount: toGold(copper), name: treasury.name })
+        };
+    }
+
+    /**
+     * Move coins from the fund to a member, within the member's rights (GM only)
+     * @param {string} actorId - The member's ID
+     * @param {number} amount - Amount in gold
+     * @returns {Object} Result with success status and message
+     */
+    static async withdraw(actorId, amount) {
+        const actor = game.actors.get(actorId);
+        const copper = toCopper(amount);
+        if (copper <= 0) {
+            return { success: false, message: game.i18n.localize('ARENA_MARKET.Treasury.InvalidAmount') };
+        }
+        const check = this.checkSpend(actor, toGold(copper));
+        if (!check.success) return check;
+
+        const treasury = this.getActor();
+        await treasury.update({ 'system.currency': pay(getCurrency(treasury), copper) });
+        await actor.update({ 'system.currency': receive(getCurrency(actor), copper) });
+        await this.recordSpending(actor.id, toGold(copper));
+
+        await this._log('treasury-withdrawal', actor, treasury, toGold(copper));
+        return {
+            success: true,
+            message: game.i18n.format('ARENA_MARKET.Treasury.Withdrawn', { actor: actor.name, amount: toGold(copper), name: treasury.name })
+        };
+    }
+
+    /**
+     * Log a deposit or withdrawal
+     * @param {string} type - 'treasury-deposit' or 'treasury-withdrawal'
+     * @param {Actor} actor - The member
+     * @param {Actor} treasury - The group actor
+     * @param {number} amount - Amount in gold
+     */
+    static async _log(type, actor, treasury, amount) {
+        await addActivityLog({
+            type,
+            shopId: null,
+            actorId: actor.id,
+            actorName: actor.name,
+            playerName: MarketStore.getOwnerName(actor),
+            itemName: treasury.name,
+            treasuryId: treasury.id,
+            price: amount,
+            currency: getCurrencyName()
+        });
+    }
+}
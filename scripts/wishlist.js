@@ -0,0 +1,100 @@
+/**
+ * Fuori D20: Arena Market
+ * Wishlist - Items an actor is waiting for, with back-in-stock whispers
+ */
+
+import { MODULE_ID, MODULE_NAME, getShop } from './config.js';
+import { MarketStore } from './market-store.js';
+
+/**
+ * Wishlist keeps, per actor and shop, the items the actor wants.
+ * Lists live in the actor's flags, so owners edit them without asking the GM.
+ */
+export class Wishlist {
+
+    /**
+     * Get the items on an actor's wishlist for a shop
+     * @param {Actor} actor - The actor
+     * @param {string} shopId - The shop's ID
+     * @returns {string[]} Item UUIDs
+     */
+    static getItems(actor, shopId) {
+        return actor?.getFlag(MODULE_ID, 'wishlist')?.[shopId] ?? [];
+    }
+
+    /**
+     * Check whether an item is on an actor's wishlist
+     * @param {Actor} actor - The actor
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {boolean}
+     */
+    static has(actor, shopId, itemUuid) {
+        return this.getItems(actor, shopId).includes(itemUuid);
+    }
+
+    /**
+     * Add an item to an actor's wishlist, or remove it if already there
+     * @param {Actor} actor - The actor
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {boolean} Whether the item is now on the wishlist
+     */
+    static async toggle(actor, shopId, itemUuid) {
+        const items = this.getItems(actor, shopId);
+        const wished = !items.includes(itemUuid);
+        const list = wished ? [...items, itemUuid] : items.filter(uuid => uuid !== itemUuid);
+        await actor.update({ [`flags.${MODULE_ID}.wishlist.${shopId}`]: list });
+        return wished;
+    }
+
+    /**
+     * Get the actors wishing for an item
+     * @param {string} shopId - The shop's ID
+     * @param {string} itemUuid - The item's UUID
+     * @returns {Actor[]} Actors with the item on their wishlist
+     */
+    static getWishers(shopId, itemUuid) {
+        return game.actors.filter(actor => this.has(actor, shopId, itemUuid));
+    }
+
+    /**
+     * Count how many actors wish for each item of a shop
+     * @param {string} shopId - The shop's ID
+     * @returns {Object} itemUuid -> number of actors
+     */
+    static getDemand(shopId) {
+        const demand = {};
+        for (const actor of game.actors) {
+            for (const itemUuid of this.getItems(actor, shopId)) {
+                demand[itemUuid] = (demand[itemUuid] || 0) + 1;
+            }
+        }
+        return demand;
+    }
+
+    /**
+     * Whisper the owners of wishing actors that items are back in stock
+     * @param {string} shopId - The shop's ID
+     * @param {string[]} itemUuids - Items whose stock went from zero to more
+     */
+    static async notifyBackInStock(shopId, itemUuids) {
+        const shopName = getShop(shopId)?.name ?? MODULE_NAME;
+        for (const itemUuid of itemUuids) {
+            const wishers = this.getWishers(shopId, itemUuid);
+            const whisper = [...new Set(wishers.map(actor => MarketStore.getOwnerId(actor)).filter(Boolean))];
+            if (whisper.length === 0) continue;
+
+            const item = await fromUuid(itemUuid);
+            await ChatMessage.create({
+                speaker: { alias: shopName },
+                whisper,
+                content: `<p>${game.i18n.format('ARENA_MARKET.Wishlist.BackInStock', {
+                    item: foundry.utils.escapeHTML(item?.name ?? itemUuid),
+                    shop: foundry.utils.escapeHTML(shopName),
+                    actors: foundry.utils.escapeHTML(wishers.map(actor => actor.name).join(', '))
+                })}</p>`
+            });
+        }
+    }
+}